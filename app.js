@@ -5,13 +5,13 @@ class VocabularyApp {
     this.practiceWords = [];
     this.currentPracticeIndex = 0;
     this.sessionLength = 10;
-    this.maxSessionWords = 10;
     this.sessionCorrect = 0;
     this.sessionTotal = 0;
     this.practiceStats = {
       sessions: 0,
       correct: 0,
       total: 0,
+      decks: {},
     };
     this.speechRecognition = null;
     this.speechSynthesis = window.speechSynthesis;
@@ -19,6 +19,31 @@ class VocabularyApp {
     this.theme = "auto"; // auto, light, dark
     this.audioContext = null;
     this.detectedLanguage = null;
+    this.decks = [];
+    this.currentDeckId = null;
+    this.excludedPracticeDeckIds = new Set();
+    this.pendingImport = null;
+    this.editingWordId = null;
+    this.wordListItems = [];
+    this.filteredWordItems = [];
+    this.wordRowHeight = 72; // measured after the first render
+    this.wordEditRowHeight = 360;
+    this.wordRowGap = 10;
+    this.wordListFrame = null;
+    this.selectedWordIds = new Set();
+    this.lastSelectedIndex = null;
+    this.trashRetentionDays = 30;
+    this.newWordsPerDay = 20; // new words "Due for Review" introduces a day
+    this.undoToastTimer = null;
+    this.practiceTagFilter = new Map(); // tag -> "include" | "exclude"
+    this.currentSession = null;
+    this.requeueGap = 0; // 0: missed words aren't asked again
+    this.choiceDeckWords = null; // loaded when a session is too small for choices
+    this.slowSpeechRate = 0.6; // relative to the voice's normal rate
+    this.sessionMisses = [];
+    this.sessionMissDeckIds = [];
+    this.wrongWordReviewItems = [];
+    this.selectedWrongWordIds = new Set();
     this.initAudioContext();
     this.init();
   }
@@ -33,41 +58,47 @@ class VocabularyApp {
   }
 
   async init() {
-    await this.initDB();
+    try {
+      await this.initDB();
+    } catch (error) {
+      console.error("Database initialization failed:", error);
+      this.showAppError(error.message);
+      return;
+    }
     this.initTheme();
     this.initSpeechRecognition();
     this.setupEventListeners();
+    await this.loadDecks();
     this.showSection("upload");
     await this.loadStats();
     await this.updateWordCount();
+    await this.purgeExpiredTrash();
+    this.renderResumePractice();
   }
 
-  async initDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open("vocabulary-practice", 1);
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve();
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
+  showAppError(message) {
+    const errorEl = document.getElementById("app-error");
+    errorEl.textContent = message;
+    errorEl.style.display = "block";
+  }
 
-        if (!db.objectStoreNames.contains("words")) {
+  // Ordered schema migrations. Each one runs exactly once, inside the upgrade
+  // transaction, when an existing database is older than its version. Never
+  // edit a released migration; append a new one instead.
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        description: "create words, stats and wrong words stores",
+        migrate: (db) => {
           const wordsStore = db.createObjectStore("words", {
             keyPath: "id",
             autoIncrement: true,
           });
           wordsStore.createIndex("word", "word", { unique: false });
-        }
 
-        if (!db.objectStoreNames.contains("stats")) {
           db.createObjectStore("stats", { keyPath: "id" });
-        }
 
-        if (!db.objectStoreNames.contains("wrongWords")) {
           const wrongWordsStore = db.createObjectStore("wrongWords", {
             keyPath: "id",
             autoIncrement: true,
@@ -76,7 +107,190 @@ class VocabularyApp {
           wrongWordsStore.createIndex("timestamp", "timestamp", {
             unique: false,
           });
+        },
+      },
+      {
+        version: 2,
+        description: "index words by spaced repetition due date",
+        migrate: (db, transaction) => {
+          // Spaced repetition schedule lives on the word record itself
+          transaction
+            .objectStore("words")
+            .createIndex("dueDate", "srs.dueDate", { unique: false });
+        },
+      },
+      {
+        version: 3,
+        description: "add decks and move existing words into a default deck",
+        migrate: (db, transaction, fail) => {
+          const decksStore = db.createObjectStore("decks", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+
+          for (const storeName of ["words", "wrongWords"]) {
+            transaction
+              .objectStore(storeName)
+              .createIndex("deckId", "deckId", { unique: false });
+          }
+
+          const request = decksStore.add({
+            name: "Default",
+            createdAt: new Date().toISOString(),
+          });
+          request.onerror = () => fail(request.error);
+          request.onsuccess = () => {
+            const deckId = request.result;
+            for (const storeName of ["words", "wrongWords"]) {
+              this.backfillRecords(transaction, storeName, fail, (record) =>
+                record.deckId === undefined ? { ...record, deckId } : null,
+              );
+            }
+          };
+        },
+      },
+      {
+        version: 4,
+        description: "add a trash store so deletions can be undone",
+        migrate: (db) => {
+          const trashStore = db.createObjectStore("trash", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          trashStore.createIndex("deletedAt", "deletedAt", { unique: false });
+        },
+      },
+      {
+        version: 5,
+        description: "index words by tag",
+        migrate: (db, transaction) => {
+          // One index entry per tag, so a word can be found by any of them
+          transaction
+            .objectStore("words")
+            .createIndex("tags", "tags", { unique: false, multiEntry: true });
+        },
+      },
+      {
+        version: 6,
+        description: "add a sessions store for practice history",
+        migrate: (db) => {
+          const sessionsStore = db.createObjectStore("sessions", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          sessionsStore.createIndex("startedAt", "startedAt", {
+            unique: false,
+          });
+        },
+      },
+    ];
+  }
+
+  getDBVersion() {
+    const migrations = this.getMigrations();
+    return migrations[migrations.length - 1].version;
+  }
+
+  // Rewrites every record in a store; update() returns the new record or null
+  // to leave it untouched. Any error aborts the whole upgrade.
+  backfillRecords(transaction, storeName, fail, update) {
+    const request = transaction.objectStore(storeName).openCursor();
+    request.onerror = () => fail(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      try {
+        const updated = update(cursor.value);
+        if (updated) {
+          const updateRequest = cursor.update(updated);
+          updateRequest.onerror = () => fail(updateRequest.error);
+        }
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      cursor.continue();
+    };
+  }
+
+  async initDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(
+        "vocabulary-practice",
+        this.getDBVersion(),
+      );
+      let failedMigration = null;
+
+      request.onerror = () => {
+        if (failedMigration) {
+          const { migration, error } = failedMigration;
+          reject(
+            new Error(
+              `Database upgrade to version ${migration.version} (${migration.description}) failed: ${error.message || error}. Your existing data was left unchanged; please reload to try again.`,
+            ),
+          );
+        } else {
+          reject(request.error);
+        }
+      };
+
+      request.onblocked = () => {
+        this.showAppError(
+          "Vocabulary Practice is open in another tab with an older version. Close the other tabs to finish upgrading.",
+        );
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Let a newer version of the app in another tab upgrade the schema
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.showAppError(
+            "A newer version of Vocabulary Practice was opened in another tab. Please reload this page.",
+          );
+        };
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const transaction = event.target.transaction;
+        const pending = this.getMigrations().filter(
+          (migration) => migration.version > event.oldVersion,
+        );
+
+        for (const migration of pending) {
+          // The upgrade transaction is atomic: aborting it rolls back every
+          // migration in this run, so old data is never half-converted
+          const fail = (error) => {
+            if (failedMigration) return;
+            failedMigration = { migration, error };
+            console.error(
+              `Migration to version ${migration.version} failed:`,
+              error,
+            );
+            transaction.abort();
+          };
+
+          try {
+            migration.migrate(db, transaction, fail);
+          } catch (error) {
+            fail(error);
+            return;
+          }
         }
+
+        // Backfills run asynchronously, so success is only known once the
+        // upgrade transaction commits
+        transaction.addEventListener("complete", () => {
+          pending.forEach((migration) =>
+            console.log(
+              `🗄️ Migrated database to version ${migration.version}: ${migration.description}`,
+            ),
+          );
+        });
       };
     });
   }
@@ -169,6 +383,143 @@ class VocabularyApp {
 
     document.getElementById("csv-file").addEventListener("change", (e) => {
       this.handleFileUpload(e.target.files[0]);
+      // Allow choosing the same file again after cancelling
+      e.target.value = "";
+    });
+
+    document
+      .getElementById("import-has-header")
+      .addEventListener("change", (e) => {
+        this.pendingImport.hasHeader = e.target.checked;
+        this.renderImportPreview();
+      });
+
+    document.getElementById("import-table").addEventListener("change", (e) => {
+      if (e.target.dataset.column !== undefined) {
+        this.setImportMapping(Number(e.target.dataset.column), e.target.value);
+      }
+    });
+
+    document
+      .getElementById("confirm-import-btn")
+      .addEventListener("click", () => {
+        this.confirmImport();
+      });
+
+    document
+      .getElementById("cancel-import-btn")
+      .addEventListener("click", () => {
+        this.cancelImport();
+      });
+
+    // Backup & restore
+    document.getElementById("backup-btn").addEventListener("click", () => {
+      this.exportBackup();
+    });
+
+    document.getElementById("restore-btn").addEventListener("click", () => {
+      document.getElementById("restore-file").click();
+    });
+
+    document.getElementById("restore-file").addEventListener("change", (e) => {
+      this.handleRestoreFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    // Decks
+    ["upload-deck", "new-word-deck", "bulk-move-deck"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", async (e) => {
+        if (e.target.value !== "new") return;
+        const deckId = await this.promptNewDeck();
+        e.target.value = deckId ?? this.currentDeckId;
+      });
+    });
+
+    document.getElementById("manage-deck").addEventListener("change", (e) => {
+      this.currentDeckId = Number(e.target.value);
+      this.editingWordId = null;
+      this.selectedWordIds.clear();
+      this.lastSelectedIndex = null;
+      document.getElementById("word-list").scrollTop = 0;
+      this.loadWordList();
+      this.updateWordCount();
+    });
+
+    document
+      .getElementById("new-deck-btn")
+      .addEventListener("click", async () => {
+        const deckId = await this.promptNewDeck();
+        if (deckId === null) return;
+        this.currentDeckId = deckId;
+        this.renderDeckSelectors();
+        this.loadWordList();
+        await this.updateWordCount();
+      });
+
+    // Word list search, sort and scrolling
+    ["word-search", "word-sort"].forEach((id) => {
+      const eventName = id === "word-search" ? "input" : "change";
+      document.getElementById(id).addEventListener(eventName, () => {
+        document.getElementById("word-list").scrollTop = 0;
+        this.filterWordList();
+      });
+    });
+
+    document.getElementById("word-list").addEventListener("scroll", () => {
+      if (this.wordListFrame) return;
+      this.wordListFrame = requestAnimationFrame(() => {
+        this.wordListFrame = null;
+        this.renderWordList();
+      });
+    });
+
+    // Bulk actions on the selected words
+    document
+      .getElementById("select-all-words")
+      .addEventListener("change", (e) => {
+        this.selectAllFilteredWords(e.target.checked);
+      });
+
+    const bulkActions = {
+      "bulk-delete-btn": () => this.bulkDeleteWords(),
+      "bulk-tag-btn": () => this.bulkTagWords(),
+      "bulk-untag-btn": () => this.bulkUntagWords(),
+      "bulk-move-btn": () => this.bulkMoveWords(),
+      "bulk-mark-wrong-btn": () => this.bulkMarkWrong(),
+      "bulk-clear-wrong-btn": () => this.bulkClearWrong(),
+    };
+    for (const [id, action] of Object.entries(bulkActions)) {
+      document.getElementById(id).addEventListener("click", action);
+    }
+
+    window.addEventListener("resize", () => {
+      if (document.getElementById("manage-section").classList.contains("active")) {
+        this.renderWordList();
+      }
+    });
+
+    document.getElementById("rename-deck-btn").addEventListener("click", () => {
+      this.renameCurrentDeck();
+    });
+
+    document.getElementById("delete-deck-btn").addEventListener("click", () => {
+      this.deleteCurrentDeck();
+    });
+
+    document
+      .getElementById("practice-decks")
+      .addEventListener("change", (e) => {
+        const deckId = Number(e.target.value);
+        if (e.target.checked) {
+          this.excludedPracticeDeckIds.delete(deckId);
+        } else {
+          this.excludedPracticeDeckIds.add(deckId);
+        }
+        this.renderPracticeTagFilter();
+      });
+
+    document.getElementById("stats-deck").addEventListener("change", () => {
+      this.updateStats();
     });
 
     // Manage
@@ -180,6 +531,19 @@ class VocabularyApp {
       this.clearAllWords();
     });
 
+    document.getElementById("export-words-btn").addEventListener("click", () => {
+      this.exportWords(document.getElementById("export-words-format").value);
+    });
+
+    // Trash
+    document.getElementById("undo-toast-btn").addEventListener("click", () => {
+      this.undoLastDeletion();
+    });
+
+    document.getElementById("empty-trash-btn").addEventListener("click", () => {
+      this.emptyTrash();
+    });
+
     // Stats actions
     document.getElementById("clear-stats-btn").addEventListener("click", () => {
       this.clearAllStats();
@@ -191,6 +555,58 @@ class VocabularyApp {
         this.clearWrongWords();
       });
 
+    const graduationSelect = document.getElementById("graduation-streak");
+    graduationSelect.value = this.getGraduationStreak();
+    graduationSelect.addEventListener("change", (e) => {
+      localStorage.setItem(
+        "vocabulary-practice-graduation-streak",
+        e.target.value,
+      );
+    });
+
+    document.getElementById("word-source").addEventListener("change", (e) => {
+      document.getElementById("wrong-direction-option").style.display =
+        e.target.value === "wrong" ? "" : "none";
+    });
+
+    document
+      .getElementById("accuracy-period")
+      .addEventListener("change", () => {
+        this.updateStats();
+      });
+
+    document
+      .getElementById("session-back-btn")
+      .addEventListener("click", () => {
+        this.hideSessionDetail();
+      });
+
+    document
+      .getElementById("wrong-word-sort")
+      .addEventListener("change", () => {
+        this.loadWrongWordReview();
+      });
+
+    document
+      .getElementById("wrong-show-graduated")
+      .addEventListener("change", () => {
+        this.loadWrongWordReview();
+      });
+
+    document
+      .getElementById("practice-wrong-selection-btn")
+      .addEventListener("click", () => {
+        this.practiceWrongWordSelection();
+      });
+
+    document
+      .getElementById("export-wrong-words-btn")
+      .addEventListener("click", () => {
+        this.exportWrongWords(
+          document.getElementById("export-wrong-words-format").value,
+        );
+      });
+
     // Practice
     document
       .getElementById("start-practice-btn")
@@ -198,6 +614,18 @@ class VocabularyApp {
         this.startPractice();
       });
 
+    document
+      .getElementById("resume-practice-btn")
+      .addEventListener("click", () => {
+        this.resumePractice();
+      });
+
+    document
+      .getElementById("discard-practice-btn")
+      .addEventListener("click", () => {
+        this.discardSavedPractice();
+      });
+
     document
       .getElementById("check-answer-btn")
       .addEventListener("click", async () => {
@@ -224,6 +652,9 @@ class VocabularyApp {
       if (e.target.id === "speak-word-btn") {
         this.speakWord();
       }
+      if (e.target.id === "speak-word-slow-btn") {
+        this.speakWord(this.slowSpeechRate);
+      }
       if (e.target.id === "start-listening-btn") {
         this.startListening();
       }
@@ -247,7 +678,16 @@ class VocabularyApp {
       if (e.target === modal) {
         this.hideAddWordModal();
       }
+      if (e.target === document.getElementById("word-detail-modal")) {
+        this.hideWordDetail();
+      }
     });
+
+    document
+      .getElementById("close-word-detail")
+      .addEventListener("click", () => {
+        this.hideWordDetail();
+      });
   }
 
   initSpeechRecognition() {
@@ -448,1271 +888,3959 @@ class VocabularyApp {
       this.loadWordList();
     } else if (sectionName === "stats") {
       this.updateStats();
+    } else if (sectionName === "trash") {
+      this.loadTrash();
+    } else if (sectionName === "practice") {
+      this.renderPracticeTagFilter();
+      this.renderResumePractice();
     }
   }
 
-  async handleFileUpload(file) {
-    if (!file) return;
-
-    const statusEl = document.getElementById("upload-status");
-    statusEl.innerHTML = "Processing...";
-
-    try {
-      const text = await file.text();
-      const words = this.parseCSV(text);
+  async loadDecks() {
+    const transaction = this.db.transaction(["decks"], "readonly");
+    const store = transaction.objectStore("decks");
 
-      if (words.length === 0) {
-        statusEl.innerHTML =
-          '<span style="color: red;">No valid words found in CSV</span>';
-        return;
-      }
+    this.decks = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
 
-      await this.saveWords(words);
-      statusEl.innerHTML = `<span style="color: green;">Successfully uploaded ${words.length} words</span>`;
-      await this.updateWordCount();
-    } catch (error) {
-      statusEl.innerHTML = `<span style="color: red;">Error: ${error.message}</span>`;
+    // There must always be a deck for new words to go into
+    if (this.decks.length === 0) {
+      await this.createDeck("Default");
+      return this.loadDecks();
     }
-  }
-
-  parseCSV(text) {
-    const lines = text.split("\n").filter((line) => line.trim());
-    const words = [];
-
-    // Skip header if it exists
-    const startIndex = lines[0].toLowerCase().includes("word") ? 1 : 0;
 
-    for (let i = startIndex; i < lines.length; i++) {
-      const parts = this.parseCSVLine(lines[i]);
-      if (parts.length >= 2) {
-        words.push({
-          word: parts[0].trim(),
-          translation: parts[1].trim(),
-        });
-      }
+    if (!this.decks.some((deck) => deck.id === this.currentDeckId)) {
+      this.currentDeckId = this.decks[0].id;
     }
 
-    return words;
+    this.renderDeckSelectors();
   }
 
-  parseCSVLine(line) {
-    const result = [];
-    let current = "";
-    let inQuotes = false;
+  renderDeckSelectors() {
+    const createOption = (value, label) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    };
 
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+    // Single-deck pickers; "new" lets the user create a deck on the spot
+    const pickers = [
+      { id: "upload-deck", allowNew: true },
+      { id: "new-word-deck", allowNew: true },
+      { id: "manage-deck", allowNew: false },
+      { id: "bulk-move-deck", allowNew: true },
+    ];
 
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === "," && !inQuotes) {
-        result.push(current);
-        current = "";
-      } else {
-        current += char;
+    for (const { id, allowNew } of pickers) {
+      const select = document.getElementById(id);
+      const previous = Number(select.value);
+      select.innerHTML = "";
+
+      this.decks.forEach((deck) => {
+        select.appendChild(createOption(deck.id, deck.name));
+      });
+      if (allowNew) {
+        select.appendChild(createOption("new", "+ New deck…"));
       }
+
+      select.value = this.decks.some((deck) => deck.id === previous)
+        ? previous
+        : this.currentDeckId;
     }
+    document.getElementById("manage-deck").value = this.currentDeckId;
+
+    const statsSelect = document.getElementById("stats-deck");
+    const statsValue = statsSelect.value;
+    statsSelect.innerHTML = "";
+    statsSelect.appendChild(createOption("all", "All Decks"));
+    this.decks.forEach((deck) => {
+      statsSelect.appendChild(createOption(deck.id, deck.name));
+    });
+    statsSelect.value = this.decks.some(
+      (deck) => String(deck.id) === statsValue,
+    )
+      ? statsValue
+      : "all";
+
+    const practiceDecksEl = document.getElementById("practice-decks");
+    practiceDecksEl.innerHTML = "";
+    this.decks.forEach((deck) => {
+      const label = document.createElement("label");
+      label.className = "deck-checkbox";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = deck.id;
+      checkbox.checked = !this.excludedPracticeDeckIds.has(deck.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${deck.name}`));
+      practiceDecksEl.appendChild(label);
+    });
+  }
 
-    result.push(current);
-    return result;
+  getDeckName(deckId) {
+    const deck = this.decks.find((d) => d.id === deckId);
+    return deck ? deck.name : "Unknown deck";
   }
 
-  async saveWords(words) {
-    const transaction = this.db.transaction(["words"], "readwrite");
-    const store = transaction.objectStore("words");
+  getSelectedPracticeDeckIds() {
+    return this.decks
+      .map((deck) => deck.id)
+      .filter((id) => !this.excludedPracticeDeckIds.has(id));
+  }
 
-    for (const word of words) {
-      await new Promise((resolve, reject) => {
-        const request = store.add(word);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      });
+  async createDeck(name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error("Deck name cannot be empty");
+    }
+    if (
+      this.decks.some(
+        (deck) => deck.name.toLowerCase() === trimmed.toLowerCase(),
+      )
+    ) {
+      throw new Error(`A deck named "${trimmed}" already exists`);
     }
-  }
 
-  async addWord() {
-    const word = document.getElementById("new-word").value.trim();
-    const translation = document.getElementById("new-translation").value.trim();
+    const transaction = this.db.transaction(["decks"], "readwrite");
+    const store = transaction.objectStore("decks");
 
-    if (!word || !translation) return;
+    return new Promise((resolve, reject) => {
+      const request = store.add({
+        name: trimmed,
+        createdAt: new Date().toISOString(),
+      });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    const wordObj = { word, translation };
+  async promptNewDeck() {
+    const name = prompt("Name for the new deck:");
+    if (!name || !name.trim()) return null;
 
     try {
-      const transaction = this.db.transaction(["words"], "readwrite");
-      const store = transaction.objectStore("words");
-      await new Promise((resolve, reject) => {
-        const request = store.add(wordObj);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      });
-
-      this.hideAddWordModal();
-      this.loadWordList();
-      await this.updateWordCount();
+      const deckId = await this.createDeck(name);
+      await this.loadDecks();
+      return deckId;
     } catch (error) {
-      alert("Error adding word: " + error.message);
+      alert("Error creating deck: " + error.message);
+      return null;
     }
   }
 
-  async loadWordList() {
-    const transaction = this.db.transaction(["words"], "readonly");
-    const store = transaction.objectStore("words");
+  async renameCurrentDeck() {
+    const deck = this.decks.find((d) => d.id === this.currentDeckId);
+    if (!deck) return;
 
-    const words = await new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    const name = prompt("New name for this deck:", deck.name);
+    if (!name || !name.trim() || name.trim() === deck.name) return;
 
-    const listEl = document.getElementById("word-list");
-    listEl.innerHTML = "";
-
-    words.forEach((word) => {
-      const wordEl = document.createElement("div");
-      wordEl.className = "word-item";
-      wordEl.innerHTML = `
-                <div class="word-content">
-                    <strong>${word.word}</strong> - ${word.translation}
-                </div>
-                <button class="delete-btn" onclick="app.deleteWord(${word.id})">Delete</button>
-            `;
-      listEl.appendChild(wordEl);
-    });
-  }
+    if (
+      this.decks.some(
+        (d) =>
+          d.id !== deck.id &&
+          d.name.toLowerCase() === name.trim().toLowerCase(),
+      )
+    ) {
+      alert(`A deck named "${name.trim()}" already exists`);
+      return;
+    }
 
-  async deleteWord(id) {
-    const transaction = this.db.transaction(["words"], "readwrite");
-    const store = transaction.objectStore("words");
+    const transaction = this.db.transaction(["decks"], "readwrite");
+    const store = transaction.objectStore("decks");
 
     await new Promise((resolve, reject) => {
-      const request = store.delete(id);
+      const request = store.put({ ...deck, name: name.trim() });
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
 
+    await this.loadDecks();
+  }
+
+  async deleteCurrentDeck() {
+    if (this.decks.length <= 1) {
+      alert("You need at least one deck. Use Clear All to empty it instead.");
+      return;
+    }
+
+    const deckId = this.currentDeckId;
+    const wordCount = await this.getWordCount([deckId]);
+    if (
+      !confirm(
+        `Delete deck "${this.getDeckName(deckId)}" and its ${wordCount} words?`,
+      )
+    )
+      return;
+
+    const deckName = this.getDeckName(deckId);
+    const deckStats = this.practiceStats.decks[deckId];
+    await this.moveToTrash(
+      ["decks", "words", "wrongWords"],
+      `Deleted deck "${deckName}"`,
+      async (transaction) => ({
+        decks: [await this.takeRecord(transaction.objectStore("decks"), deckId)],
+        words: await this.takeByIndex(
+          transaction.objectStore("words"),
+          "deckId",
+          deckId,
+        ),
+        wrongWords: await this.takeByIndex(
+          transaction.objectStore("wrongWords"),
+          "deckId",
+          deckId,
+        ),
+        stats: deckStats
+          ? [
+              {
+                id: "practice",
+                sessions: 0,
+                correct: 0,
+                total: 0,
+                decks: { [deckId]: deckStats },
+              },
+            ]
+          : [],
+      }),
+    );
+
+    delete this.practiceStats.decks[deckId];
+    this.excludedPracticeDeckIds.delete(deckId);
+    await this.saveStats();
+
+    this.currentDeckId = null;
+    await this.loadDecks();
     this.loadWordList();
     await this.updateWordCount();
   }
 
-  async clearAllWords() {
-    if (!confirm("Are you sure you want to delete all words?")) return;
-
-    const transaction = this.db.transaction(["words"], "readwrite");
-    const store = transaction.objectStore("words");
+  // Deletes the records matching key in an index and resolves with them
+  takeByIndex(store, indexName, key) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const request = store.index(indexName).openCursor(key);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(records);
+          return;
+        }
+        records.push(cursor.value);
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    await new Promise((resolve, reject) => {
-      const request = store.clear();
-      request.onsuccess = () => resolve();
+  // Deletes every record in a store and resolves with them
+  takeAll(store) {
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const records = request.result;
+        const clearRequest = store.clear();
+        clearRequest.onsuccess = () => resolve(records);
+        clearRequest.onerror = () => reject(clearRequest.error);
+      };
       request.onerror = () => reject(request.error);
     });
+  }
 
-    this.loadWordList();
-    await this.updateWordCount();
+  // Deletes one record and resolves with it (undefined if it didn't exist)
+  takeRecord(store, key) {
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) {
+          resolve(undefined);
+          return;
+        }
+        const deleteRequest = store.delete(key);
+        deleteRequest.onsuccess = () => resolve(record);
+        deleteRequest.onerror = () => reject(deleteRequest.error);
+      };
+      request.onerror = () => reject(request.error);
+    });
   }
 
-  async updateWordCount() {
+  async getWordsByIds(ids) {
     const transaction = this.db.transaction(["words"], "readonly");
     const store = transaction.objectStore("words");
 
-    const count = await new Promise((resolve, reject) => {
-      const request = store.count();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return Promise.all(
+      ids.map(
+        (id) =>
+          new Promise((resolve, reject) => {
+            if (id === undefined) {
+              resolve(undefined);
+              return;
+            }
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          }),
+      ),
+    );
+  }
 
-    document.getElementById("word-count").textContent = `Words: ${count}`;
+  async getWordsInDecks(deckIds) {
+    const transaction = this.db.transaction(["words"], "readonly");
+    const index = transaction.objectStore("words").index("deckId");
+
+    const results = await Promise.all(
+      deckIds.map(
+        (deckId) =>
+          new Promise((resolve, reject) => {
+            const request = index.getAll(deckId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          }),
+      ),
+    );
+
+    return results.flat().sort((a, b) => a.id - b.id);
   }
 
-  async startPractice() {
-    // Get session settings
-    const sessionLength = document.getElementById("session-length").value;
-    const shuffleMode = document.getElementById("shuffle-mode").value;
-    const wordSource = document.getElementById("word-source").value;
+  async handleFileUpload(file) {
+    if (!file) return;
 
-    let allWords;
+    const statusEl = document.getElementById("upload-status");
+    statusEl.innerHTML = "Processing...";
 
-    if (wordSource === "wrong") {
-      allWords = await this.getWrongWords();
-      if (allWords.length === 0) {
-        alert(
-          "No wrong words found. Practice with all words first to build your wrong words list.",
-        );
+    try {
+      const text = this.decodeFileText(await file.arrayBuffer());
+      const lineNumbers = [];
+      const rows = this.parseDelimited(text, null, Infinity, lineNumbers);
+
+      if (rows.length === 0) {
+        statusEl.innerHTML =
+          '<span style="color: red;">No rows found in file</span>';
         return;
       }
-    } else {
-      const transaction = this.db.transaction(["words"], "readonly");
-      const store = transaction.objectStore("words");
 
-      allWords = await new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+      const hasHeader = this.isHeaderRow(rows[0]);
+      this.pendingImport = {
+        fileName: file.name,
+        rows,
+        lineNumbers,
+        hasHeader,
+        mapping: this.guessImportMapping(rows, hasHeader),
+      };
 
-      if (allWords.length === 0) {
-        alert(
-          "No words available for practice. Please upload some vocabulary first.",
-        );
-        return;
-      }
+      statusEl.innerHTML = "";
+      this.renderImportPreview();
+    } catch (error) {
+      statusEl.innerHTML = `<span style="color: red;">Error: ${error.message}</span>`;
     }
+  }
 
-    // Prepare practice words
-    this.practiceWords = [...allWords];
+  // Optional details a word record can carry besides word and translation
+  getWordDetailFields() {
+    return [
+      {
+        key: "reading",
+        label: "Reading",
+        headers: [
+          "reading",
+          "furigana",
+          "kana",
+          "romaji",
+          "romanization",
+          "pronunciation",
+          "読み",
+        ],
+      },
+      {
+        key: "partOfSpeech",
+        label: "Part of speech",
+        headers: ["part of speech", "pos", "word type", "品詞"],
+      },
+      {
+        key: "example",
+        label: "Example",
+        headers: ["example", "example sentence", "sentence", "例文"],
+      },
+      {
+        key: "exampleTranslation",
+        label: "Example translation",
+        headers: [
+          "example translation",
+          "sentence translation",
+          "example meaning",
+          "例文訳",
+        ],
+      },
+      {
+        key: "notes",
+        label: "Notes",
+        headers: ["notes", "note", "comment", "comments", "メモ"],
+      },
+    ];
+  }
 
-    if (shuffleMode === "random") {
-      this.shuffleArray(this.practiceWords);
+  // Record fields a file column can be imported into
+  getImportFields() {
+    return [
+      {
+        key: "word",
+        label: "Word",
+        required: true,
+        headers: ["word", "words", "term", "front", "vocabulary", "単語"],
+      },
+      {
+        key: "translation",
+        label: "Translation",
+        required: true,
+        headers: [
+          "translation",
+          "meaning",
+          "definition",
+          "back",
+          "意味",
+          "訳",
+        ],
+      },
+      ...this.getWordDetailFields(),
+      {
+        key: "tags",
+        label: "Tags",
+        headers: ["tags", "tag", "labels", "categories", "タグ"],
+      },
+    ];
+  }
+
+  // "verbs, chapter-3" -> ["verbs", "chapter-3"]
+  parseTags(text) {
+    const tags = [];
+    for (const part of text.split(/[,;|、]/)) {
+      const tag = part.trim();
+      if (tag && !tags.includes(tag)) tags.push(tag);
     }
+    return tags;
+  }
 
-    // Limit session length
-    if (sessionLength !== "all") {
-      this.maxSessionWords = parseInt(sessionLength);
-      this.practiceWords = this.practiceWords.slice(0, this.maxSessionWords);
-    } else {
-      this.maxSessionWords = this.practiceWords.length;
+  normalizeHeader(header) {
+    return header
+      .trim()
+      .toLowerCase()
+      .replace(/[_-]+/g, " ");
+  }
+
+  // Maps each column index to a field key ("" = ignored), using header names
+  // when present and skipping leading index columns otherwise
+  guessImportMapping(rows, hasHeader) {
+    const columnCount = Math.max(...rows.map((row) => row.length));
+    const mapping = new Array(columnCount).fill("");
+    const fields = this.getImportFields();
+
+    if (hasHeader) {
+      rows[0].forEach((header, column) => {
+        const name = this.normalizeHeader(header);
+        const field = fields.find(
+          (f) => f.headers.includes(name) && !mapping.includes(f.key),
+        );
+        if (field) mapping[column] = field.key;
+      });
     }
 
-    this.currentPracticeIndex = 0;
-    this.sessionCorrect = 0;
-    this.sessionTotal = 0;
+    if (fields.every((field) => !field.required || mapping.includes(field.key))) {
+      return mapping;
+    }
 
-    document.querySelector(".practice-setup").style.display = "none";
-    document.querySelector(".practice-controls").style.display = "none";
-    document.getElementById("practice-area").style.display = "block";
+    const dataRows = rows.slice(hasHeader ? 1 : 0, 50);
+    const isIndexColumn = (column) =>
+      dataRows.length > 0 &&
+      dataRows.every((row) => /^\s*\d+\s*$/.test(row[column] || ""));
 
-    this.practiceStats.sessions++;
-    this.updateProgress();
-    this.showCurrentWord();
-  }
+    let column = 0;
+    while (column < columnCount - 2 && isIndexColumn(column)) {
+      column++;
+    }
 
-  showCurrentWord() {
-    const mode = document.getElementById("practice-mode").value;
-    const word = this.practiceWords[this.currentPracticeIndex];
-    const contentEl = document.getElementById("practice-content");
+    mapping.fill("");
+    mapping[column] = "word";
+    if (column + 1 < columnCount) {
+      mapping[column + 1] = "translation";
+    }
+    return mapping;
+  }
 
-    const checkBtn = document.getElementById("check-answer-btn");
-    const nextBtn = document.getElementById("next-word-btn");
+  setImportMapping(column, fieldKey) {
+    const { mapping } = this.pendingImport;
 
-    // Hide check button for choice modes since they auto-submit
-    if (mode === "choice" || mode === "choice-reverse") {
-      checkBtn.style.display = "none";
-    } else {
-      checkBtn.style.display = "block";
+    // A field can only come from one column
+    if (fieldKey) {
+      mapping.forEach((key, index) => {
+        if (key === fieldKey) mapping[index] = "";
+      });
     }
+    mapping[column] = fieldKey;
+    this.renderImportPreview();
+  }
 
-    nextBtn.style.display = "none";
-    document.getElementById("practice-feedback").innerHTML = "";
+  // Applies the column mapping; returns the words to save and the rows that
+  // will be skipped with the reason and the file line the row starts on
+  buildImportWords() {
+    const { rows, lineNumbers, hasHeader, mapping } = this.pendingImport;
+    const fields = this.getImportFields();
+    const words = [];
+    const skipped = [];
 
-    switch (mode) {
-      case "guess":
-        contentEl.innerHTML = `
-                    <div class="practice-question">
-                        <h3>What does this word mean?</h3>
-                        <div class="word-display">${word.word}</div>
-                        <input type="text" id="answer-input" placeholder="Enter translation" />
-                    </div>
-                `;
-        break;
+    rows.forEach((row, index) => {
+      if (hasHeader && index === 0) return;
 
-      case "guess-reverse":
-        contentEl.innerHTML = `
-                    <div class="practice-question">
-                        <h3>What word has this meaning?</h3>
-                        <div class="translation-display">${word.translation}</div>
-                        <input type="text" id="answer-input" placeholder="Enter word" />
-                    </div>
-                `;
-        break;
+      const word = {};
+      mapping.forEach((fieldKey, column) => {
+        const value = (row[column] || "").trim();
+        if (fieldKey && value) {
+          word[fieldKey] = value;
+        }
+      });
 
-      case "choice":
-        contentEl.innerHTML = `
-                    <div class="practice-question">
-                        <h3>What does this word mean?</h3>
-                        <div class="word-display">${word.word}</div>
-                        <div class="choice-options" id="choice-options"></div>
-                    </div>
-                `;
-        // Use setTimeout to ensure DOM is updated before creating choices
-        setTimeout(() => this.createMultipleChoices(word, "translation"), 10);
-        break;
+      if (word.tags) {
+        word.tags = this.parseTags(word.tags);
+        if (word.tags.length === 0) delete word.tags;
+      }
 
-      case "choice-reverse":
-        contentEl.innerHTML = `
-                    <div class="practice-question">
-                        <h3>Which word has this meaning?</h3>
-                        <div class="translation-display">${word.translation}</div>
-                        <div class="choice-options" id="choice-options"></div>
-                    </div>
-                `;
-        // Use setTimeout to ensure DOM is updated before creating choices
-        setTimeout(() => this.createMultipleChoices(word, "word"), 10);
-        break;
+      const missing = fields.find(
+        (field) => field.required && !word[field.key],
+      );
+      if (missing) {
+        const columnMissing = row.length <= mapping.indexOf(missing.key);
+        skipped.push({
+          row: index + 1,
+          line: lineNumbers ? lineNumbers[index] : index + 1,
+          reason: columnMissing
+            ? `Missing ${missing.label.toLowerCase()} column`
+            : `Empty ${missing.label.toLowerCase()}`,
+        });
+        return;
+      }
 
-      case "pronunciation":
-        contentEl.innerHTML = `
-                    <div class="practice-question">
-                        <h3>Practice pronouncing this word</h3>
-                        <div class="word-display">${word.word}</div>
-                        <div class="translation">${word.translation}</div>
-                        <div class="voice-controls">
-                            <button id="speak-word-btn" class="btn voice-btn">🔊 Play Pronunciation</button>
-                            ${
-                              this.speechRecognition
-                                ? `
-                                <button id="start-listening-btn" class="btn voice-btn">🎤 Start Recording</button>
-                                <button id="stop-listening-btn" class="btn voice-btn" style="display: none;">⏹️ Stop Recording</button>
-                            `
-                                : ""
-                            }
-                        </div>
-                        <div class="pronunciation-practice">
-                            <p>Listen to the pronunciation, then say the word aloud!</p>
-                            <input type="text" id="answer-input" placeholder="Use voice recognition or type the word" />
-                        </div>
-                    </div>
-                `;
-        break;
+      words.push(word);
+    });
+
+    return { words, skipped };
+  }
+
+  renderImportPreview() {
+    const previewEl = document.getElementById("import-preview");
+    const tableEl = document.getElementById("import-table");
+    const { fileName, rows, lineNumbers, hasHeader, mapping } =
+      this.pendingImport;
+    const fields = this.getImportFields();
+    const missingFields = fields.filter(
+      (field) => field.required && !mapping.includes(field.key),
+    );
+    const { words, skipped } = missingFields.length
+      ? { words: [], skipped: [] }
+      : this.buildImportWords();
+    const skippedRows = new Map(skipped.map((item) => [item.row, item.reason]));
+    const previewLimit = 20;
+
+    document.getElementById("import-has-header").checked = hasHeader;
+
+    const options = [{ key: "", label: "Ignore" }, ...fields];
+    const mappingCells = mapping
+      .map(
+        (fieldKey, column) => `
+          <th>
+            <select data-column="${column}" aria-label="Column ${column + 1}">
+              ${options
+                .map(
+                  (option) =>
+                    `<option value="${option.key}" ${option.key === fieldKey ? "selected" : ""}>${option.label}</option>`,
+                )
+                .join("")}
+            </select>
+          </th>`,
+      )
+      .join("");
+
+    const renderRow = (row, index) => {
+      const reason = skippedRows.get(index + 1);
+      const isHeader = hasHeader && index === 0;
+      const cells = mapping
+        .map(
+          (_, column) =>
+            `<td>${this.escapeHtml(row[column] === undefined ? "" : row[column])}</td>`,
+        )
+        .join("");
+      return `<tr class="${isHeader ? "import-header-row" : reason ? "import-skipped-row" : ""}" title="${reason ? this.escapeHtml(reason) : ""}"><th>${lineNumbers ? lineNumbers[index] : index + 1}</th>${cells}</tr>`;
+    };
+
+    tableEl.innerHTML = `
+      <thead><tr><th>Row</th>${mappingCells}</tr></thead>
+      <tbody>${rows.slice(0, previewLimit).map(renderRow).join("")}</tbody>
+    `;
+
+    const moreRows = rows.length - previewLimit;
+    document.getElementById("import-summary").textContent =
+      `${fileName}: ${rows.length} rows` +
+      (moreRows > 0 ? ` (showing the first ${previewLimit})` : "");
+
+    const skippedEl = document.getElementById("import-skipped");
+    if (missingFields.length) {
+      skippedEl.innerHTML = `<p class="import-error">Choose a column for: ${missingFields
+        .map((field) => field.label)
+        .join(", ")}</p>`;
+    } else if (skipped.length) {
+      skippedEl.innerHTML = `
+        <p>${skipped.length} row${skipped.length === 1 ? "" : "s"} will be skipped:</p>
+        <ul>${skipped
+          .map((item) => `<li>Line ${item.line}: ${this.escapeHtml(item.reason)}</li>`)
+          .join("")}</ul>
+      `;
+    } else {
+      skippedEl.innerHTML = "";
     }
 
-    const answerInput = document.getElementById("answer-input");
-    if (answerInput) {
-      answerInput.focus();
-      answerInput.addEventListener("keypress", async (e) => {
-        if (e.key === "Enter") {
-          if (
-            document.getElementById("check-answer-btn").style.display !== "none"
-          ) {
-            await this.checkAnswer();
-          } else if (
-            document.getElementById("next-word-btn").style.display !== "none"
-          ) {
-            this.nextWord();
-          }
-        }
+    const confirmBtn = document.getElementById("confirm-import-btn");
+    confirmBtn.disabled = words.length === 0;
+    confirmBtn.textContent = `Import ${words.length} word${words.length === 1 ? "" : "s"}`;
+
+    previewEl.style.display = "block";
+  }
+
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    const statusEl = document.getElementById("upload-status");
+    const { words, skipped } = this.buildImportWords();
+    const deckId = Number(document.getElementById("upload-deck").value);
+
+    try {
+      const summary = await this.importWords(words, deckId, {
+        policy: document.getElementById("import-duplicate-policy").value,
+        normalize: document.getElementById("import-normalize").checked,
       });
+
+      const details = [
+        `${summary.added} added`,
+        `${summary.updated} updated`,
+        `${summary.skipped} duplicates skipped`,
+      ];
+      if (skipped.length) {
+        details.push(`${skipped.length} invalid rows skipped`);
+      }
+      statusEl.innerHTML = `<span style="color: green;">Imported into "${this.escapeHtml(this.getDeckName(deckId))}": ${details.join(", ")}</span>`;
+      this.cancelImport();
+      await this.updateWordCount();
+    } catch (error) {
+      statusEl.innerHTML = `<span style="color: red;">Error: ${error.message}</span>`;
     }
   }
 
-  async checkAnswer() {
-    const mode = document.getElementById("practice-mode").value;
-    const word = this.practiceWords[this.currentPracticeIndex];
-    const feedbackEl = document.getElementById("practice-feedback");
+  cancelImport() {
+    this.pendingImport = null;
+    document.getElementById("import-preview").style.display = "none";
+    document.getElementById("import-table").innerHTML = "";
+  }
 
-    let correctAnswer, isCorrect, userAnswer;
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
 
-    // Handle multiple choice modes
-    if (mode === "choice" || mode === "choice-reverse") {
-      const selectedBtn = document.querySelector(".choice-option.selected");
-      if (!selectedBtn) {
-        alert("Please select an answer");
-        return;
-      }
-      isCorrect = selectedBtn.dataset.correct === "true";
-      correctAnswer = this.getCorrectAnswerForMode(word, mode);
-    } else {
-      // Handle text input
-      const answerInput = document.getElementById("answer-input");
-      if (!answerInput) {
-        alert("Please provide an answer");
-        return;
-      }
-      userAnswer = answerInput.value.trim().toLowerCase();
+  // Decodes an uploaded file, honouring a byte order mark and falling back to
+  // the legacy encodings Excel still writes (Shift_JIS, Windows-1252)
+  decodeFileText(buffer) {
+    const bytes = new Uint8Array(buffer);
 
-      switch (mode) {
-        case "guess":
-          correctAnswer = word.translation;
-          isCorrect = await this.checkAnswerMatch(userAnswer, word.translation);
-          break;
-        case "guess-reverse":
-          correctAnswer = word.word;
-          isCorrect = await this.checkAnswerMatch(userAnswer, word.word);
-          break;
-        case "pronunciation":
-          correctAnswer = word.word;
-          isCorrect = await this.checkAnswerMatch(userAnswer, word.word);
-          break;
-      }
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+      return new TextDecoder("utf-8").decode(bytes.subarray(3));
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return new TextDecoder("utf-16be").decode(bytes.subarray(2));
     }
 
-    this.practiceStats.total++;
-    this.sessionTotal++;
-
-    if (isCorrect) {
-      this.practiceStats.correct++;
-      this.sessionCorrect++;
-      feedbackEl.innerHTML = '<div class="feedback correct">Correct!</div>';
-    } else {
-      // Track wrong word
-      this.addWrongWord(word);
-
-      const formattedAnswer = this.formatCorrectAnswer(correctAnswer);
-      feedbackEl.innerHTML = `
-                <div class="feedback incorrect">
-                    Incorrect
-                    <div class="correct-answer">
-                        Correct answer${formattedAnswer.split(",").length > 1 ? "s" : ""}:
-                        ${formattedAnswer}
-                    </div>
-                </div>
-            `;
+    for (const encoding of ["utf-8", "shift_jis"]) {
+      try {
+        const text = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+        // Western accented text often decodes as half-width katakana
+        if (
+          encoding === "shift_jis" &&
+          (text.match(/[\uFF61-\uFF9F]/g) || []).length >
+            (text.match(/[\u3040-\u30FF\u4E00-\u9FAF]/g) || []).length
+        ) {
+          continue;
+        }
+        return text;
+      } catch (error) {
+        // Not valid in this encoding, try the next one
+      }
     }
 
-    this.updateProgress();
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
 
-    document.getElementById("check-answer-btn").style.display = "none";
-    document.getElementById("next-word-btn").style.display = "block";
+  // A header names at least the word and translation columns; a real first
+  // row such as "password,パスワード" does not
+  isHeaderRow(row) {
+    const cells = row.map((cell) => this.normalizeHeader(cell));
 
-    this.saveStats();
+    return this.getImportFields()
+      .filter((field) => field.required)
+      .every((field) => cells.some((cell) => field.headers.includes(cell)));
   }
 
-  getCorrectAnswerForMode(word, mode) {
-    switch (mode) {
-      case "guess":
-      case "choice":
-        return word.translation;
-      case "guess-reverse":
-      case "choice-reverse":
-        return word.word;
-      case "pronunciation":
-        return word.word;
-      default:
-        return word.translation;
-    }
-  }
+  // Picks the delimiter that splits the first lines into the most consistent
+  // number of columns
+  detectDelimiter(text) {
+    const sampleText = text.slice(0, 8192);
+    let best = { delimiter: ",", score: 0 };
 
-  async checkAnswerMatch(userAnswer, correctAnswer) {
-    if (!correctAnswer) return false;
+    for (const delimiter of [",", ";", "\t"]) {
+      const rows = this.parseDelimited(sampleText, delimiter, 20);
+      const counts = rows.map((row) => row.length).filter((count) => count > 1);
+      if (counts.length === 0) continue;
 
-    const normalizedUser = userAnswer.toLowerCase().trim();
-    const normalizedCorrect = correctAnswer.toLowerCase().trim();
+      const frequency = new Map();
+      counts.forEach((count) => {
+        frequency.set(count, (frequency.get(count) || 0) + 1);
+      });
+      const score = Math.max(...frequency.values());
 
-    // Direct match
-    if (normalizedUser === normalizedCorrect) return true;
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
 
-    // Language character matching - check if they represent the same meaning
-    console.log(
-      "🔍 Checking language equivalency for:",
-      normalizedUser,
-      "⟷",
-      normalizedCorrect,
-    );
-    if (await this.areLanguageEquivalent(normalizedUser, normalizedCorrect)) {
-      console.log("✅ Language equivalency match found");
-      return true;
+    return best.delimiter;
+  }
+
+  // RFC 4180 parser: quoted fields may contain delimiters, "" escaped quotes
+  // and line breaks; CRLF, LF and CR line endings are all accepted
+  // lineNumbers, when given, receives the file line each row starts on, since
+  // blank lines are dropped and quoted fields can span lines
+  parseDelimited(
+    text,
+    delimiter = null,
+    maxRows = Infinity,
+    lineNumbers = null,
+  ) {
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.slice(1);
+    }
+    if (delimiter === null) {
+      delimiter = this.detectDelimiter(text);
     }
 
-    // Split by common separators and check if user answer matches any part
-    const separators = [",", ";", "/", "|", " or ", " and "];
-    let possibleAnswers = [normalizedCorrect];
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let i = 0;
+    let line = 1;
+    let rowStartLine = 1;
+
+    const endRow = () => {
+      row.push(field);
+      // Blank lines carry no data
+      if (row.length > 1 || row[0].trim() !== "") {
+        rows.push(row);
+        if (lineNumbers) lineNumbers.push(rowStartLine);
+      }
+      row = [];
+      field = "";
+    };
 
-    for (const sep of separators) {
-      const newAnswers = [];
-      for (const answer of possibleAnswers) {
-        if (answer.includes(sep)) {
-          newAnswers.push(...answer.split(sep).map((part) => part.trim()));
+    while (i < text.length && rows.length < maxRows) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          inQuotes = false;
         } else {
-          newAnswers.push(answer);
+          field += char;
+          if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) {
+            line++;
+          }
         }
+        i++;
+        continue;
       }
-      possibleAnswers = newAnswers;
-    }
 
-    // Remove duplicates and empty strings
-    possibleAnswers = [...new Set(possibleAnswers)].filter(
-      (answer) => answer.length > 0,
-    );
+      if (char === '"' && field.trim() === "") {
+        // Opening quote; whitespace before it is not part of the value
+        field = "";
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\r" || char === "\n") {
+        endRow();
+        if (char === "\r" && text[i + 1] === "\n") {
+          i++;
+        }
+        line++;
+        rowStartLine = line;
+      } else {
+        field += char;
+      }
+      i++;
+    }
 
-    // Check if user answer matches any of the possible answers
-    for (const possible of possibleAnswers) {
-      if (normalizedUser === possible) return true;
+    if ((field !== "" || row.length > 0) && rows.length < maxRows) {
+      endRow();
+    }
 
-      // Language equivalency check for each possible answer
-      if (await this.areLanguageEquivalent(normalizedUser, possible)) {
-        return true;
-      }
+    return rows;
+  }
 
-      // Also check if user answer is contained in the possible answer (for articles like "a", "an", "the")
-      if (possible.includes(normalizedUser) && normalizedUser.length >= 2)
-        return true;
+  formatDelimitedField(value, delimiter) {
+    const text = value === undefined || value === null ? "" : String(value);
+    if (
+      text.includes(delimiter) ||
+      /["\r\n]/.test(text) ||
+      text !== text.trim()
+    ) {
+      return `"${text.replace(/"/g, '""')}"`;
     }
+    return text;
+  }
 
-    // Check fuzzy matching for small typos (optional)
-    for (const possible of possibleAnswers) {
-      if (
-        this.calculateSimilarity(normalizedUser, possible) > 0.8 &&
-        Math.abs(normalizedUser.length - possible.length) <= 2
-      ) {
-        return true;
-      }
+  // Builds RFC 4180 style text; the header row keeps files re-importable
+  toDelimitedText(headers, rows, format) {
+    const delimiter = format === "tsv" ? "\t" : ",";
+    const lines = [headers, ...rows].map((row) =>
+      row
+        .map((value) => this.formatDelimitedField(value, delimiter))
+        .join(delimiter),
+    );
+    // BOM so spreadsheet apps detect UTF-8 (needed for kana and kanji)
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+  }
+
+  downloadDelimited(baseName, headers, rows, format) {
+    const safeName = baseName.replace(/[\\/:*?"<>|]+/g, "-").trim() || "export";
+    this.downloadFile(
+      `${safeName}-${this.getDateStamp()}.${format}`,
+      this.toDelimitedText(headers, rows, format),
+      format === "tsv"
+        ? "text/tab-separated-values;charset=utf-8"
+        : "text/csv;charset=utf-8",
+    );
+  }
+
+  async exportWords(format) {
+    const words = await this.getWordsInDecks([this.currentDeckId]);
+    if (words.length === 0) {
+      alert("There are no words in this deck to export.");
+      return;
     }
 
-    return false;
+    const detailFields = this.getWordDetailFields();
+    this.downloadDelimited(
+      this.getDeckName(this.currentDeckId),
+      [
+        "word",
+        "translation",
+        // Header names the importer maps back to the same fields
+        ...detailFields.map((field) => field.headers[0].replace(/ /g, "_")),
+        "tags",
+      ],
+      words.map((word) => [
+        word.word,
+        word.translation,
+        ...detailFields.map((field) => word[field.key] || ""),
+        (word.tags || []).join(", "),
+      ]),
+      format,
+    );
   }
 
-  areLanguageEquivalent(userAnswer, correctAnswer) {
-    // Basic hiragana to katakana conversion and vice versa
-    const hiraganaToKatakana = (str) => {
-      return str.replace(/[\u3041-\u3096]/g, (match) => {
-        return String.fromCharCode(match.charCodeAt(0) + 0x60);
-      });
-    };
+  async exportWrongWords(format) {
+    const statsDeck = document.getElementById("stats-deck").value;
+    const deckIds = statsDeck === "all" ? null : [Number(statsDeck)];
+    // Graduated words are exported only while the review list shows them
+    const showGraduated = document.getElementById(
+      "wrong-show-graduated",
+    ).checked;
+    const summaries = (await this.getWrongWordSummaries(deckIds)).filter(
+      (summary) => showGraduated || !summary.graduated,
+    );
 
-    const katakanaToHiragana = (str) => {
-      return str.replace(/[\u30A1-\u30F6]/g, (match) => {
-        return String.fromCharCode(match.charCodeAt(0) - 0x60);
-      });
-    };
+    if (summaries.length === 0) {
+      alert("There are no wrong words to export.");
+      return;
+    }
 
-    // Convert both to hiragana for comparison
-    const userHiragana = katakanaToHiragana(userAnswer);
-    const correctHiragana = katakanaToHiragana(correctAnswer);
+    this.downloadDelimited(
+      "wrong-words",
+      ["word", "translation", "deck", "miss_count", "last_missed"],
+      summaries.map((summary) => [
+        summary.word,
+        summary.translation,
+        this.getDeckName(summary.deckId),
+        summary.missCount,
+        summary.lastMissed,
+      ]),
+      format,
+    );
+  }
 
-    // Check direct hiragana equivalency
-    if (userHiragana === correctHiragana) return true;
+  // Key used to decide whether an imported word already exists
+  getWordMatchKey(text, normalize) {
+    const trimmed = text.trim();
+    if (!normalize) return trimmed;
 
-    // Convert both to katakana for comparison
-    const userKatakana = hiraganaToKatakana(userAnswer);
-    const correctKatakana = hiraganaToKatakana(correctAnswer);
+    // NFKC folds full-width letters and half-width katakana
+    return this.normalizeJapanese(trimmed.normalize("NFKC"));
+  }
 
-    // Check direct katakana equivalency
-    if (userKatakana === correctKatakana) return true;
+  mergeTranslations(existing, incoming) {
+    const parts = [];
+    const seen = new Set();
 
-    // Dynamic equivalency check - look through existing vocabulary
-    return this.checkDynamicEquivalency(userAnswer, correctAnswer);
+    for (const part of `${existing},${incoming}`.split(/[,;/|]/)) {
+      const trimmed = part.trim();
+      if (trimmed && !seen.has(trimmed.toLowerCase())) {
+        seen.add(trimmed.toLowerCase());
+        parts.push(trimmed);
+      }
+    }
+
+    return parts.join(", ");
   }
 
-  async checkDynamicEquivalency(userAnswer, correctAnswer) {
-    // Get all words from database to find patterns
-    const transaction = this.db.transaction(["words"], "readonly");
+  // Saves words into a deck. Words that already exist in the deck (or earlier
+  // in the same import) are skipped, overwritten or merged per the policy.
+  async importWords(words, deckId, { policy = "skip", normalize = false } = {}) {
+    const transaction = this.db.transaction(["words", "wrongWords"], "readwrite");
     const store = transaction.objectStore("words");
+    const summary = { added: 0, updated: 0, skipped: 0 };
 
-    const allWords = await new Promise((resolve, reject) => {
-      const request = store.getAll();
+    const existingWords = await new Promise((resolve, reject) => {
+      const request = store.index("deckId").getAll(deckId);
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
 
-    // Enhanced matching for Japanese text
-    for (const word of allWords) {
-      // Direct matches
-      if (userAnswer === word.word && correctAnswer === word.translation) {
-        return true;
+    const byKey = new Map(
+      existingWords.map((word) => [
+        this.getWordMatchKey(word.word, normalize),
+        word,
+      ]),
+    );
+    const addedIds = new Set();
+    const updatedWords = new Map();
+
+    for (const word of words) {
+      const key = this.getWordMatchKey(word.word, normalize);
+      const match = byKey.get(key);
+
+      if (!match) {
+        const record = { ...word, deckId };
+        record.id = await new Promise((resolve, reject) => {
+          const request = store.add(record);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        byKey.set(key, record);
+        addedIds.add(record.id);
+        summary.added++;
+        continue;
       }
-      if (userAnswer === word.translation && correctAnswer === word.word) {
-        return true;
+
+      if (policy === "skip") {
+        summary.skipped++;
+        continue;
       }
 
-      // Check if both user answer and correct answer appear in the same vocabulary entry
-      // This handles cases where both forms exist in your database
-      const wordForms = [word.word, word.translation].map((w) =>
-        w.toLowerCase(),
-      );
-      if (
-        wordForms.includes(userAnswer.toLowerCase()) &&
-        wordForms.includes(correctAnswer.toLowerCase())
-      ) {
-        return true;
+      // Overwrite replaces details given in the file; merge only fills gaps
+      const updated = { ...match };
+      if (policy === "overwrite") {
+        updated.translation = word.translation;
+      } else {
+        updated.translation = this.mergeTranslations(
+          match.translation,
+          word.translation,
+        );
+      }
+      for (const { key } of this.getWordDetailFields()) {
+        if (word[key] && (policy === "overwrite" || !match[key])) {
+          updated[key] = word[key];
+        }
+      }
+      if (word.tags) {
+        updated.tags =
+          policy === "overwrite"
+            ? word.tags
+            : this.parseTags([...(match.tags || []), ...word.tags].join(","));
       }
 
-      // Cross-reference check: if userAnswer matches any word and correctAnswer matches its pair
-      if (
-        this.normalizeJapanese(userAnswer) ===
-          this.normalizeJapanese(word.word) &&
-        this.normalizeJapanese(correctAnswer) ===
-          this.normalizeJapanese(word.translation)
-      ) {
-        return true;
+      const changed =
+        ["translation", ...this.getWordDetailFields().map((f) => f.key)].some(
+          (key) => updated[key] !== match[key],
+        ) || (updated.tags || []).join(",") !== (match.tags || []).join(",");
+      if (!changed) {
+        summary.skipped++;
+        continue;
       }
-      if (
-        this.normalizeJapanese(userAnswer) ===
-          this.normalizeJapanese(word.translation) &&
-        this.normalizeJapanese(correctAnswer) ===
-          this.normalizeJapanese(word.word)
-      ) {
-        return true;
+
+      Object.assign(match, updated);
+      await new Promise((resolve, reject) => {
+        const request = store.put(match);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+
+      if (!addedIds.has(match.id)) {
+        if (!updatedWords.has(match.id)) summary.updated++;
+        updatedWords.set(match.id, match);
       }
     }
 
-    // Look for semantic equivalency patterns
-    return this.checkSemanticEquivalency(userAnswer, correctAnswer, allWords);
+    await this.updateWrongWordDetails(transaction, [...updatedWords.values()]);
+    return summary;
   }
 
-  normalizeJapanese(text) {
-    // Convert katakana to hiragana for comparison
-    return text
-      .replace(/[\u30A1-\u30F6]/g, (match) => {
-        return String.fromCharCode(match.charCodeAt(0) - 0x60);
-      })
-      .toLowerCase();
+  // Wrong-word records keep a copy of the word text and deck; refresh them
+  // after the word itself changes
+  async updateWrongWordDetails(transaction, words) {
+    const index = transaction.objectStore("wrongWords").index("wordId");
+
+    for (const word of words) {
+      await new Promise((resolve, reject) => {
+        const request = index.openCursor(word.id);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          cursor.update({
+            ...cursor.value,
+            deckId: word.deckId,
+            word: word.word,
+            translation: word.translation,
+          });
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
   }
 
-  checkSemanticEquivalency(userAnswer, correctAnswer, allWords) {
-    // Look for patterns where different forms of the same word appear
-    const userNormalized = this.normalizeJapanese(userAnswer);
-    const correctNormalized = this.normalizeJapanese(correctAnswer);
+  async addWord() {
+    const word = document.getElementById("new-word").value.trim();
+    const translation = document.getElementById("new-translation").value.trim();
 
-    // Check if these could be different representations of the same concept
-    for (const word of allWords) {
-      const wordNorm = this.normalizeJapanese(word.word);
-      const transNorm = this.normalizeJapanese(word.translation);
+    const deckId = Number(document.getElementById("new-word-deck").value);
 
-      // If either userAnswer or correctAnswer appears in vocabulary,
-      // check if they share semantic meaning
-      if (
-        userNormalized === wordNorm ||
-        userNormalized === transNorm ||
-        correctNormalized === wordNorm ||
-        correctNormalized === transNorm
-      ) {
-        // Additional heuristics for Japanese word equivalency
-        if (this.areJapaneseWordVariants(userAnswer, correctAnswer)) {
-          return true;
-        }
-      }
+    if (!word || !translation || !deckId) return;
+
+    const wordObj = { word, translation, deckId };
+    this.getWordDetailFields().forEach(({ key }) => {
+      const value = document.getElementById(this.getDetailInputId(key)).value.trim();
+      if (value) wordObj[key] = value;
+    });
+    const tags = this.parseTags(document.getElementById("new-tags").value);
+    if (tags.length) wordObj.tags = tags;
+
+    try {
+      const transaction = this.db.transaction(["words"], "readwrite");
+      const store = transaction.objectStore("words");
+      await new Promise((resolve, reject) => {
+        const request = store.add(wordObj);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+
+      this.hideAddWordModal();
+      this.loadWordList();
+      await this.updateWordCount();
+    } catch (error) {
+      alert("Error adding word: " + error.message);
     }
+  }
 
-    return false;
+  // "partOfSpeech" -> "new-part-of-speech"
+  getDetailInputId(key) {
+    return "new-" + key.replace(/[A-Z]/g, (char) => "-" + char.toLowerCase());
   }
 
-  areJapaneseWordVariants(word1, word2) {
-    // Check if words share common elements (like same verb stem)
-    const norm1 = this.normalizeJapanese(word1);
-    const norm2 = this.normalizeJapanese(word2);
+  // Reading, part of speech, example and notes shown after answering
+  renderWordDetails(word) {
+    const rows = [];
+    if (word.reading || word.partOfSpeech) {
+      rows.push(`
+        <div class="word-details-heading">
+          ${word.reading ? `<span class="word-reading">${this.escapeHtml(word.reading)}</span>` : ""}
+          ${word.partOfSpeech ? `<span class="word-pos">${this.escapeHtml(word.partOfSpeech)}</span>` : ""}
+        </div>`);
+    }
+    if (word.example) {
+      rows.push(`
+        <div class="word-example">
+          <div>${this.escapeHtml(word.example)}</div>
+          ${word.exampleTranslation ? `<div class="word-example-translation">${this.escapeHtml(word.exampleTranslation)}</div>` : ""}
+        </div>`);
+    }
+    if (word.notes) {
+      rows.push(`<div class="word-notes">${this.escapeHtml(word.notes)}</div>`);
+    }
+    if (word.tags && word.tags.length) {
+      rows.push(`
+        <div class="word-tags">
+          ${word.tags.map((tag) => `<span class="word-tag">${this.escapeHtml(tag)}</span>`).join("")}
+        </div>`);
+    }
+    return rows.join("");
+  }
 
-    // Debug logging for equivalency checking (only when not matching)
-    const shouldLog = norm1 !== norm2;
+  async loadWordList() {
+    const [words, summaries] = await Promise.all([
+      this.getWordsInDecks([this.currentDeckId]),
+      this.getWrongWordSummaries([this.currentDeckId]),
+    ]);
+    const missCounts = new Map(
+      summaries.map((summary) => [summary.wordId, summary.missCount]),
+    );
 
-    // Direct match after normalization
-    if (norm1 === norm2) {
-      return true;
-    }
+    this.wordListItems = words.map((word) => ({
+      word,
+      missCount: missCounts.get(word.id) || 0,
+      searchText: [word.word, word.translation, word.reading, ...(word.tags || [])]
+        .filter(Boolean)
+        .map((text) => this.getWordMatchKey(text, true))
+        .join("\n"),
+    }));
 
-    // If one is significantly shorter, it might be a stem of the other
-    const longer = norm1.length > norm2.length ? norm1 : norm2;
-    const shorter = norm1.length > norm2.length ? norm2 : norm1;
+    // Records may have changed, so rebuild every row
+    document.getElementById("word-list-spacer").innerHTML = "";
+    this.filterWordList();
+  }
 
-    // Check if shorter form is contained in longer form (potential stem matching)
-    if (shorter.length >= 2 && longer.includes(shorter)) {
-      return true;
+  filterWordList() {
+    const query = this.getWordMatchKey(
+      document.getElementById("word-search").value,
+      true,
+    );
+    const sortBy = document.getElementById("word-sort").value;
+
+    const lastPracticed = (item) => item.word.srs?.lastReviewed || "";
+    const comparators = {
+      oldest: (a, b) => a.word.id - b.word.id,
+      newest: (a, b) => b.word.id - a.word.id,
+      alphabetical: (a, b) => a.word.word.localeCompare(b.word.word),
+      missed: (a, b) => b.missCount - a.missCount || a.word.id - b.word.id,
+      practiced: (a, b) =>
+        lastPracticed(b).localeCompare(lastPracticed(a)) ||
+        a.word.id - b.word.id,
+    };
+
+    this.filteredWordItems = this.wordListItems
+      .filter((item) => !query || item.searchText.includes(query))
+      .sort(comparators[sortBy] || comparators.oldest);
+
+    // Bulk actions only apply to words the user can see
+    const visibleIds = new Set(
+      this.filteredWordItems.map((item) => item.word.id),
+    );
+    for (const id of this.selectedWordIds) {
+      if (!visibleIds.has(id)) this.selectedWordIds.delete(id);
     }
+    this.lastSelectedIndex = null;
 
-    // For conjugated forms, check if they share the same beginning
-    if (longer.length > 2 && shorter.length > 2) {
-      const commonLength = Math.min(longer.length - 1, shorter.length - 1, 3);
-      if (
-        longer.substring(0, commonLength) === shorter.substring(0, commonLength)
-      ) {
-        return true;
-      }
+    document.getElementById("word-filter-count").textContent = query
+      ? `Showing ${this.filteredWordItems.length} of ${this.wordListItems.length}`
+      : "";
+
+    this.renderWordList();
+    this.updateWordSelection();
+  }
+
+  // Only rows in or near the viewport are in the DOM; the spacer gives the
+  // list its full scroll height and rows are positioned inside it
+  renderWordList() {
+    const listEl = document.getElementById("word-list");
+    const spacer = document.getElementById("word-list-spacer");
+    const items = this.filteredWordItems;
+
+    if (items.length === 0) {
+      spacer.style.height = "";
+      spacer.innerHTML = `<p class="word-list-empty">${
+        this.wordListItems.length
+          ? "No words match your search."
+          : "No words in this deck yet."
+      }</p>`;
+      return;
     }
 
-    // Check common hiragana-kanji pairs
-    const commonPairs = {
-      かいしゃ: "会社",
-      がっこう: "学校",
-      せんせい: "先生",
-      がくせい: "学生",
-      しごと: "仕事",
-      でんわ: "電話",
-      でんわばんごう: "電話番号",
-      びょういん: "病院",
-      ぎんこう: "銀行",
-      としょかん: "図書館",
-      こうえん: "公園",
-      えき: "駅",
-      みち: "道",
-      いえ: "家",
-      くるま: "車",
-      でんしゃ: "電車",
-      ひこうき: "飛行機",
-      みずうみ: "湖",
-      やま: "山",
-      かわ: "川",
-      うみ: "海",
-      ばんごう: "番号",
-      じゅうしょ: "住所",
-      なまえ: "名前",
-      ねんれい: "年齢",
-      せいねんがっぴ: "生年月日",
-      こくせき: "国籍",
+    const rowHeight = this.wordRowHeight;
+    const editIndex = items.findIndex(
+      (item) => item.word.id === this.editingWordId,
+    );
+    const extra = editIndex === -1 ? 0 : this.wordEditRowHeight - rowHeight;
+    const rowTop = (index) =>
+      index * rowHeight + (editIndex !== -1 && index > editIndex ? extra : 0);
+    const indexAt = (offset) => {
+      if (editIndex !== -1 && offset >= rowTop(editIndex)) {
+        if (offset < rowTop(editIndex) + this.wordEditRowHeight) {
+          return editIndex;
+        }
+        return Math.floor((offset - extra) / rowHeight);
+      }
+      return Math.floor(offset / rowHeight);
     };
 
-    // Check both directions
-    if (commonPairs[word1] === word2 || commonPairs[word2] === word1) {
-      console.log("✅ Common pair match found:", word1, "⟷", word2);
-      return true;
+    spacer.style.height = `${items.length * rowHeight + extra}px`;
+
+    // Hidden sections have no height yet, so assume a typical viewport
+    const viewportHeight = listEl.clientHeight || 600;
+    const overscan = 5;
+    const start = Math.max(0, indexAt(listEl.scrollTop) - overscan);
+    const end = Math.min(
+      items.length - 1,
+      indexAt(listEl.scrollTop + viewportHeight) + overscan,
+    );
+
+    const indexes = [];
+    for (let i = start; i <= end; i++) indexes.push(i);
+    // Keep the edit form mounted so scrolling away doesn't lose changes
+    if (editIndex !== -1 && (editIndex < start || editIndex > end)) {
+      indexes.push(editIndex);
     }
 
-    // Enhanced compound word analysis
-    if (this.areCompoundWordEquivalents(word1, word2, commonPairs)) {
-      console.log("✅ Compound word equivalency found:", word1, "⟷", word2);
-      return true;
+    const wanted = new Set(indexes.map((i) => items[i].word.id));
+    const existing = new Map();
+    for (const el of [...spacer.children]) {
+      const id = Number(el.dataset.id);
+      const isEditing = el.classList.contains("editing");
+      if (wanted.has(id) && isEditing === (id === this.editingWordId)) {
+        existing.set(id, el);
+      } else {
+        el.remove();
+      }
     }
 
-    console.log("❌ No equivalency found");
-    return false;
+    for (const i of indexes) {
+      const { word, missCount } = items[i];
+      let wordEl = existing.get(word.id);
+      if (!wordEl) {
+        wordEl = document.createElement("div");
+        wordEl.className = "word-item";
+        wordEl.dataset.id = word.id;
+        wordEl.classList.toggle("selected", this.selectedWordIds.has(word.id));
+        if (word.id === this.editingWordId) {
+          wordEl.classList.add("editing");
+          wordEl.innerHTML = this.renderWordEditForm(word);
+        } else {
+          wordEl.innerHTML = this.renderWordItem(word, missCount);
+        }
+        spacer.appendChild(wordEl);
+        if (word.id === this.editingWordId) {
+          wordEl.querySelector("input").focus();
+        }
+      }
+      wordEl.style.top = `${rowTop(i)}px`;
+    }
+
+    // Row heights depend on the screen width, so use the rendered ones
+    const rowEl = spacer.querySelector(".word-item:not(.editing)");
+    const editEl = spacer.querySelector(".word-item.editing");
+    let changed = false;
+    if (rowEl && rowEl.offsetHeight > 0) {
+      const height = rowEl.offsetHeight + this.wordRowGap;
+      changed = changed || height !== this.wordRowHeight;
+      this.wordRowHeight = height;
+    }
+    if (editEl && editEl.offsetHeight > 0) {
+      const height = editEl.offsetHeight + this.wordRowGap;
+      changed = changed || height !== this.wordEditRowHeight;
+      this.wordEditRowHeight = height;
+    }
+    if (changed) {
+      this.renderWordList();
+    }
   }
 
-  areCompoundWordEquivalents(word1, word2, commonPairs) {
-    // For compound words, try breaking them down and checking parts
-    const longer = word1.length > word2.length ? word1 : word2;
-    const shorter = word1.length > word2.length ? word2 : word1;
+  renderWordItem(word, missCount = 0) {
+    const mastery = this.getMasteryLevel(word);
+    const tags = (word.tags || [])
+      .map((tag) => `<span class="word-tag">${this.escapeHtml(tag)}</span>`)
+      .join("");
+
+    return `
+                <input type="checkbox" class="word-select" aria-label="Select" onclick="app.toggleWordSelection(${word.id}, event)" ${this.selectedWordIds.has(word.id) ? "checked" : ""} />
+                <div class="word-content" onclick="app.showWordDetail(${word.id})" title="Show details">
+                    <span class="mastery-badge mastery-${mastery.key}">${mastery.label}</span>
+                    <strong>${this.escapeHtml(word.word)}</strong>${word.reading ? `<span class="pronunciation">${this.escapeHtml(word.reading)}</span>` : ""} - ${this.escapeHtml(word.translation)}
+                    ${word.partOfSpeech ? `<span class="word-pos">${this.escapeHtml(word.partOfSpeech)}</span>` : ""}
+                    ${missCount ? `<span class="word-miss-count" title="Times missed">✗ ${missCount}</span>` : ""}
+                    ${tags}
+                </div>
+                <div class="word-actions">
+                    <button class="edit-btn" onclick="app.editWord(${word.id})">Edit</button>
+                    <button class="delete-btn" onclick="app.deleteWord(${word.id})">Delete</button>
+                </div>
+            `;
+  }
 
-    // If the longer word might be a compound, try to find matching parts
-    if (longer.length >= 4) {
-      // Check if we can build the longer word from known parts
-      for (let i = 2; i <= longer.length - 2; i++) {
-        const part1 = longer.substring(0, i);
-        const part2 = longer.substring(i);
+  renderWordEditForm(word) {
+    const fields = [
+      { key: "word", label: "Word", required: true },
+      { key: "translation", label: "Translation", required: true },
+      ...this.getWordDetailFields(),
+      { key: "tags", label: "Tags (comma separated)" },
+    ];
 
-        // Check if both parts have known equivalents
-        const part1Equiv =
-          commonPairs[part1] ||
-          Object.keys(commonPairs).find((key) => commonPairs[key] === part1);
-        const part2Equiv =
-          commonPairs[part2] ||
-          Object.keys(commonPairs).find((key) => commonPairs[key] === part2);
+    const inputs = fields
+      .map((field) => {
+        const value = this.escapeHtml(
+          field.key === "tags"
+            ? (word.tags || []).join(", ")
+            : word[field.key] || "",
+        );
+        const input =
+          field.key === "notes"
+            ? `<textarea data-field="${field.key}" rows="2">${value}</textarea>`
+            : `<input type="text" data-field="${field.key}" value="${value}" ${field.required ? "required" : ""} />`;
+        return `<label><span>${field.label}${field.required ? " *" : ""}</span>${input}</label>`;
+      })
+      .join("");
+
+    return `
+                <form class="word-edit-form" onsubmit="event.preventDefault(); app.saveWordEdit(${word.id}, this)" onkeydown="if (event.key === 'Escape') app.cancelWordEdit()">
+                    <div class="word-edit-fields">${inputs}</div>
+                    <div class="word-edit-error"></div>
+                    <div class="word-actions">
+                        <button type="submit" class="edit-btn">Save</button>
+                        <button type="button" class="delete-btn" onclick="app.cancelWordEdit()">Cancel</button>
+                    </div>
+                </form>
+            `;
+  }
 
-        if (part1Equiv && part2Equiv) {
-          // Try to reconstruct the compound
-          const reconstructed =
-            (typeof part1Equiv === "string" ? part1Equiv : part1) +
-            (typeof part2Equiv === "string" ? part2Equiv : part2);
+  // Mastery is derived from the practice record rather than stored, so the
+  // thresholds can change without migrating words
+  getMasteryLevel(word) {
+    const performance = word.performance;
+    if (!performance || performance.attempts === 0) {
+      return { key: "new", label: "New" };
+    }
 
-          if (reconstructed === shorter) {
-            console.log(
-              "🔍 Compound word analysis:",
-              longer,
-              "=",
-              part1,
-              "+",
-              part2,
-              "→",
-              reconstructed,
-              "=",
-              shorter,
-            );
-            return true;
-          }
-        }
-      }
+    const accuracy = performance.correct / performance.attempts;
+    if (performance.streak >= 5 && accuracy >= 0.8) {
+      return { key: "mastered", label: "Mastered" };
+    }
+    if (performance.streak >= 2 && accuracy >= 0.6) {
+      return { key: "familiar", label: "Familiar" };
     }
+    if (performance.attempts >= 3 && accuracy < 0.4) {
+      return { key: "struggling", label: "Struggling" };
+    }
+    return { key: "learning", label: "Learning" };
+  }
 
-    return false;
+  async showWordDetail(id) {
+    const [word] = await this.getWordsByIds([id]);
+    if (!word) return;
+
+    const item = this.wordListItems.find((item) => item.word.id === id);
+    const missCount = item ? item.missCount : 0;
+    const performance = word.performance || {
+      attempts: 0,
+      correct: 0,
+      streak: 0,
+    };
+    const mastery = this.getMasteryLevel(word);
+    const details = this.renderWordDetails(word);
+    const formatDate = (iso) =>
+      iso ? new Date(iso).toLocaleString() : "Never";
+
+    const rows = [
+      ["Attempts", performance.attempts],
+      [
+        "Correct",
+        performance.attempts
+          ? `${performance.correct} (${Math.round((performance.correct / performance.attempts) * 100)}%)`
+          : "0",
+      ],
+      ["Current streak", performance.streak],
+      ["Times missed", missCount],
+      ["Last practiced", formatDate(performance.lastPracticed)],
+      [
+        "Average response time",
+        performance.attempts
+          ? `${(performance.totalResponseTime / performance.attempts / 1000).toFixed(1)} s`
+          : "–",
+      ],
+      ["Next review", word.srs
+          ? new Date(word.srs.dueDate).toLocaleDateString()
+          : "Not scheduled"],
+    ];
+
+    document.getElementById("word-detail-content").innerHTML = `
+                <h3 class="word-detail-title">
+                    ${this.escapeHtml(word.word)}
+                    <span class="mastery-badge mastery-${mastery.key}">${mastery.label}</span>
+                </h3>
+                <div class="word-detail-translation">${this.escapeHtml(word.translation)}</div>
+                ${details.trim() ? `<div class="word-details">${details}</div>` : ""}
+                <dl class="word-detail-stats">
+                    ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join("")}
+                </dl>
+            `;
+    document.getElementById("word-detail-modal").style.display = "block";
   }
 
-  calculateSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
+  hideWordDetail() {
+    document.getElementById("word-detail-modal").style.display = "none";
+  }
 
-    if (longer.length === 0) return 1.0;
+  editWord(id) {
+    this.editingWordId = id;
+    this.renderWordList();
+  }
 
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  cancelWordEdit() {
+    this.editingWordId = null;
+    this.renderWordList();
   }
 
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
+  async saveWordEdit(id, form) {
+    const errorEl = form.querySelector(".word-edit-error");
+    const values = {};
+    form.querySelectorAll("[data-field]").forEach((input) => {
+      values[input.dataset.field] = input.value.trim();
+    });
 
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
+    if (!values.word || !values.translation) {
+      errorEl.textContent = "Word and translation are required.";
+      return;
     }
+    const tags = this.parseTags(values.tags || "");
+    delete values.tags;
 
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
+    const transaction = this.db.transaction(["words", "wrongWords"], "readwrite");
+    const store = transaction.objectStore("words");
 
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
+    try {
+      const record = await new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      if (!record) {
+        throw new Error("This word no longer exists");
+      }
+
+      const deckWords = await new Promise((resolve, reject) => {
+        const request = store.index("deckId").getAll(record.deckId);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      if (deckWords.some((w) => w.id !== id && w.word === values.word)) {
+        throw new Error(`"${values.word}" is already in this deck`);
+      }
+
+      // Same id, so review schedule and wrong-word history stay attached
+      const updated = { ...record };
+      for (const [key, value] of Object.entries(values)) {
+        if (value) {
+          updated[key] = value;
         } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1,
-          );
+          delete updated[key];
         }
       }
+      if (tags.length) {
+        updated.tags = tags;
+      } else {
+        delete updated.tags;
+      }
+
+      await new Promise((resolve, reject) => {
+        const request = store.put(updated);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+      await this.updateWrongWordDetails(transaction, [updated]);
+    } catch (error) {
+      errorEl.textContent = error.message;
+      return;
     }
 
-    return matrix[str2.length][str1.length];
+    this.editingWordId = null;
+    this.loadWordList();
   }
 
-  nextWord() {
-    this.currentPracticeIndex++;
-
-    if (
-      this.currentPracticeIndex >= this.practiceWords.length ||
-      this.currentPracticeIndex >= this.maxSessionWords
-    ) {
-      this.endPractice();
-    } else {
-      this.updateProgress();
-      this.showCurrentWord();
+  toggleWordSelection(id, event) {
+    const index = this.filteredWordItems.findIndex(
+      (item) => item.word.id === id,
+    );
+    const selected = event.target.checked;
+
+    // Shift-click applies the new state to every row since the last click
+    let from = index;
+    let to = index;
+    if (event.shiftKey && this.lastSelectedIndex !== null) {
+      from = Math.min(index, this.lastSelectedIndex);
+      to = Math.max(index, this.lastSelectedIndex);
+    }
+    for (let i = from; i <= to; i++) {
+      const wordId = this.filteredWordItems[i].word.id;
+      if (selected) {
+        this.selectedWordIds.add(wordId);
+      } else {
+        this.selectedWordIds.delete(wordId);
+      }
     }
-  }
-
-  endPractice() {
-    const contentEl = document.getElementById("practice-content");
-    const sessionAccuracy =
-      this.sessionTotal > 0
-        ? Math.round((this.sessionCorrect / this.sessionTotal) * 100)
-        : 0;
 
-    // Update progress bar to 100%
-    document.getElementById("progress-fill").style.width = "100%";
-    document.getElementById("progress-text").textContent = "Session Complete!";
+    this.lastSelectedIndex = index;
+    this.updateWordSelection();
+  }
 
-    contentEl.innerHTML = `
-            <div class="practice-complete">
-                <h3>🎉 Practice Session Complete!</h3>
-                <div class="session-results">
-                    <div class="result-item">
-                        <span class="result-label">Questions Answered:</span>
-                        <span class="result-value">${this.currentPracticeIndex}</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="result-label">Correct Answers:</span>
-                        <span class="result-value">${this.sessionCorrect}</span>
-                    </div>
-                    <div class="result-item">
-                        <span class="result-label">Session Accuracy:</span>
-                        <span class="result-value">${sessionAccuracy}%</span>
-                    </div>
-                </div>
-                <div class="completion-actions">
-                    <button id="start-new-practice-btn" class="btn">Start New Practice</button>
-                    <button id="back-to-setup-btn" class="btn" style="background: rgba(108, 117, 125, 0.8);">Back to Setup</button>
-                </div>
-            </div>
-        `;
+  selectAllFilteredWords(selected) {
+    this.selectedWordIds.clear();
+    if (selected) {
+      this.filteredWordItems.forEach((item) =>
+        this.selectedWordIds.add(item.word.id),
+      );
+    }
+    this.lastSelectedIndex = null;
+    this.updateWordSelection();
+  }
 
-    document.getElementById("check-answer-btn").style.display = "none";
-    document.getElementById("next-word-btn").style.display = "none";
-    document.getElementById("stop-practice-btn").style.display = "none";
+  updateWordSelection() {
+    const count = this.selectedWordIds.size;
+    const total = this.filteredWordItems.length;
 
-    // Add event listeners for completion buttons
     document
-      .getElementById("start-new-practice-btn")
-      .addEventListener("click", () => {
-        this.startPractice();
+      .querySelectorAll("#word-list-spacer > .word-item")
+      .forEach((wordEl) => {
+        const selected = this.selectedWordIds.has(Number(wordEl.dataset.id));
+        wordEl.classList.toggle("selected", selected);
+        const checkbox = wordEl.querySelector(".word-select");
+        if (checkbox) checkbox.checked = selected;
       });
 
-    document
-      .getElementById("back-to-setup-btn")
-      .addEventListener("click", () => {
-        this.stopPractice();
-      });
-  }
+    const selectAll = document.getElementById("select-all-words");
+    selectAll.checked = total > 0 && count === total;
+    selectAll.indeterminate = count > 0 && count < total;
+    document.getElementById("select-all-label").textContent =
+      count > 0 ? `${count} of ${total} selected` : `Select all (${total})`;
 
-  stopPractice() {
-    document.querySelector(".practice-setup").style.display = "grid";
-    document.querySelector(".practice-controls").style.display = "flex";
-    document.getElementById("practice-area").style.display = "none";
+    document
+      .querySelectorAll(".bulk-actions .btn")
+      .forEach((button) => (button.disabled = count === 0));
   }
 
-  updateProgress() {
-    const currentQuestion = this.currentPracticeIndex + 1;
-    const totalQuestions = this.maxSessionWords;
-    const progressPercentage =
-      (this.currentPracticeIndex / this.maxSessionWords) * 100;
+  // Runs update on each selected word record and saves the ones it changed
+  // (update returns false to leave a word alone)
+  async updateSelectedWords(update) {
+    const transaction = this.db.transaction(["words", "wrongWords"], "readwrite");
+    const store = transaction.objectStore("words");
+    const changed = [];
 
-    // Update progress text
-    document.getElementById("progress-text").textContent =
-      `Question ${currentQuestion} of ${totalQuestions}`;
+    for (const id of this.selectedWordIds) {
+      const record = await new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      if (!record || update(record) === false) continue;
 
-    // Update score
-    document.getElementById("progress-score").textContent =
-      `Score: ${this.sessionCorrect}/${this.sessionTotal}`;
+      await new Promise((resolve, reject) => {
+        const request = store.put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+      changed.push(record);
+    }
 
-    // Update progress bar
-    document.getElementById("progress-fill").style.width =
-      `${progressPercentage}%`;
+    await this.updateWrongWordDetails(transaction, changed);
+    return changed;
   }
 
-  formatCorrectAnswer(answer) {
-    if (!answer) return "";
-
-    // Split by common separators and create a nicely formatted display
-    const separators = [",", ";", "/", "|", " or ", " and "];
-    let options = [answer];
+  async bulkDeleteWords() {
+    const ids = [...this.selectedWordIds];
+    if (ids.length === 0) return;
+    if (!confirm(`Are you sure you want to delete ${ids.length} words?`)) return;
 
-    for (const sep of separators) {
-      const newOptions = [];
-      for (const option of options) {
-        if (option.includes(sep)) {
-          newOptions.push(...option.split(sep).map((part) => part.trim()));
-        } else {
-          newOptions.push(option);
-        }
-      }
-      options = newOptions;
-    }
+    await this.deleteWords(ids, `Deleted ${ids.length} words`);
+  }
 
-    // Remove duplicates and empty strings
-    options = [...new Set(options)].filter((opt) => opt.length > 0);
+  async bulkTagWords() {
+    const count = this.selectedWordIds.size;
+    if (count === 0) return;
 
-    if (options.length === 1) {
-      return `<div class="answer-option">${options[0]}</div>`;
-    } else {
-      return `<div class="answer-options">${options
-        .map((opt) => `<span class="answer-option">${opt}</span>`)
-        .join("")}</div>`;
-    }
-  }
+    const tag = prompt(`Tag to add to ${count} words:`)?.trim();
+    if (!tag) return;
 
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
+    await this.updateSelectedWords((word) => {
+      const tags = word.tags || [];
+      if (tags.includes(tag)) return false;
+      word.tags = [...tags, tag];
+    });
+    this.loadWordList();
   }
 
-  showAddWordModal() {
-    document.getElementById("add-word-modal").style.display = "block";
-  }
+  async bulkUntagWords() {
+    const count = this.selectedWordIds.size;
+    if (count === 0) return;
 
-  hideAddWordModal() {
-    document.getElementById("add-word-modal").style.display = "none";
-    document.getElementById("add-word-form").reset();
-  }
+    const usedTags = new Set();
+    this.wordListItems
+      .filter((item) => this.selectedWordIds.has(item.word.id))
+      .forEach((item) => (item.word.tags || []).forEach((t) => usedTags.add(t)));
+    if (usedTags.size === 0) {
+      alert("None of the selected words have tags.");
+      return;
+    }
 
-  async saveStats() {
-    const transaction = this.db.transaction(["stats"], "readwrite");
-    const store = transaction.objectStore("stats");
+    const tag = prompt(
+      `Tag to remove from ${count} words (${[...usedTags].join(", ")}):`,
+    )?.trim();
+    if (!tag) return;
 
-    await new Promise((resolve, reject) => {
-      const request = store.put({ id: "practice", ...this.practiceStats });
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    await this.updateSelectedWords((word) => {
+      if (!word.tags || !word.tags.includes(tag)) return false;
+      word.tags = word.tags.filter((t) => t !== tag);
+      if (word.tags.length === 0) delete word.tags;
     });
+    this.loadWordList();
   }
 
-  async loadStats() {
-    const transaction = this.db.transaction(["stats"], "readonly");
-    const store = transaction.objectStore("stats");
+  async bulkMoveWords() {
+    const count = this.selectedWordIds.size;
+    const deckId = Number(document.getElementById("bulk-move-deck").value);
+    if (count === 0 || !deckId || deckId === this.currentDeckId) return;
 
-    const stats = await new Promise((resolve, reject) => {
-      const request = store.get("practice");
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+    // A deck can't hold the same word twice, so those stay where they are
+    const targetWords = new Set(
+      (await this.getWordsInDecks([deckId])).map((word) => word.word),
+    );
+    let skipped = 0;
+
+    const moved = await this.updateSelectedWords((word) => {
+      if (targetWords.has(word.word)) {
+        skipped++;
+        return false;
+      }
+      word.deckId = deckId;
     });
 
-    if (stats) {
-      this.practiceStats = { ...stats };
-      delete this.practiceStats.id;
+    const deckName = this.getDeckName(deckId);
+    let message = `Moved ${moved.length} words to "${deckName}".`;
+    if (skipped > 0) {
+      message += ` ${skipped} words were left in place because "${deckName}" already has them.`;
     }
-  }
-
-  async updateStats() {
-    const wordCount = await this.getWordCount();
-    const wrongWordsCount = await this.getWrongWordsCount();
-    const accuracy =
-      this.practiceStats.total > 0
-        ? Math.round(
-            (this.practiceStats.correct / this.practiceStats.total) * 100,
-          )
-        : 0;
+    alert(message);
 
-    document.getElementById("total-words").textContent = wordCount;
-    document.getElementById("practice-sessions").textContent =
-      this.practiceStats.sessions;
-    document.getElementById("correct-answers").textContent =
-      this.practiceStats.correct;
-    document.getElementById("accuracy").textContent = accuracy + "%";
-    document.getElementById("wrong-words-count").textContent = wrongWordsCount;
+    this.selectedWordIds.clear();
+    this.loadWordList();
+    await this.updateWordCount();
   }
 
-  async getWordCount() {
-    const transaction = this.db.transaction(["words"], "readonly");
-    const store = transaction.objectStore("words");
+  async bulkMarkWrong() {
+    const ids = [...this.selectedWordIds];
+    if (ids.length === 0) return;
 
-    return new Promise((resolve, reject) => {
-      const request = store.count();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    const words = (await this.getWordsByIds(ids)).filter(Boolean);
+    const transaction = this.db.transaction(
+      ["words", "wrongWords"],
+      "readwrite",
+    );
+    const store = transaction.objectStore("wrongWords");
+    const direction = document.getElementById("bulk-wrong-direction").value;
+
+    await Promise.all(
+      words.map(
+        (word) =>
+          new Promise((resolve, reject) => {
+            const request = store.add(
+              this.createWrongWordRecord(word, { direction }),
+            );
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+          }),
+      ),
+    );
+    const wordsStore = transaction.objectStore("words");
+    for (const word of words) {
+      await this.resetDirectionStreaks(wordsStore, word.id, direction);
+    }
+
+    this.loadWordList();
   }
 
-  createMultipleChoices(correctWord, answerType) {
-    const optionsEl = document.getElementById("choice-options");
-    if (!optionsEl) {
-      console.error("choice-options element not found!");
+  async bulkClearWrong() {
+    const ids = [...this.selectedWordIds];
+    if (ids.length === 0) return;
+    if (
+      !confirm(`Clear the wrong-word history of ${ids.length} selected words?`)
+    )
       return;
-    }
 
-    const options = [correctWord];
+    await this.moveToTrash(
+      ["wrongWords"],
+      `Cleared the wrong-word history of ${ids.length} words`,
+      async (transaction) => {
+        const store = transaction.objectStore("wrongWords");
+        const wrongWords = [];
+        for (const id of ids) {
+          wrongWords.push(...(await this.takeByIndex(store, "wordId", id)));
+        }
+        return { wrongWords };
+      },
+    );
 
-    // Add 3 random incorrect options
-    const otherWords = this.practiceWords.filter(
-      (w) => w.id !== correctWord.id,
+    this.loadWordList();
+  }
+
+  async deleteWord(id) {
+    const item = this.wordListItems.find((item) => item.word.id === id);
+    const description = item ? `Deleted "${item.word.word}"` : "Deleted word";
+    await this.deleteWords([id], description);
+  }
+
+  // Deleted words take their wrong-word history with them, so restoring them
+  // from the trash brings both back
+  async deleteWords(ids, description) {
+    await this.moveToTrash(
+      ["words", "wrongWords"],
+      description,
+      async (transaction) => {
+        const wordsStore = transaction.objectStore("words");
+        const wrongWordsStore = transaction.objectStore("wrongWords");
+        const words = [];
+        const wrongWords = [];
+
+        for (const id of ids) {
+          const word = await this.takeRecord(wordsStore, id);
+          if (!word) continue;
+          words.push(word);
+          wrongWords.push(
+            ...(await this.takeByIndex(wrongWordsStore, "wordId", id)),
+          );
+        }
+        return { words, wrongWords };
+      },
     );
-    this.shuffleArray(otherWords);
-    options.push(...otherWords.slice(0, 3));
 
-    // Shuffle all options
-    this.shuffleArray(options);
+    ids.forEach((id) => this.selectedWordIds.delete(id));
+    this.loadWordList();
+    await this.updateWordCount();
+  }
 
-    optionsEl.innerHTML = "";
+  async clearAllWords() {
+    const deckId = this.currentDeckId;
+    const deckName = this.getDeckName(deckId);
+    if (!confirm(`Are you sure you want to delete all words in "${deckName}"?`))
+      return;
 
-    options.forEach((word, index) => {
-      const optionBtn = document.createElement("button");
-      optionBtn.className = "btn choice-option";
-      optionBtn.textContent = word[answerType] || "N/A";
-      optionBtn.dataset.correct = word.id === correctWord.id;
-      optionBtn.addEventListener("click", () => {
-        document
-          .querySelectorAll(".choice-option")
-          .forEach((btn) => btn.classList.remove("selected"));
-        optionBtn.classList.add("selected");
-        // Auto-trigger check answer
-        setTimeout(async () => await this.checkAnswer(), 300);
-      });
-      optionsEl.appendChild(optionBtn);
-    });
+    await this.moveToTrash(
+      ["words", "wrongWords"],
+      `Cleared all words in "${deckName}"`,
+      async (transaction) => ({
+        words: await this.takeByIndex(
+          transaction.objectStore("words"),
+          "deckId",
+          deckId,
+        ),
+        wrongWords: await this.takeByIndex(
+          transaction.objectStore("wrongWords"),
+          "deckId",
+          deckId,
+        ),
+      }),
+    );
 
-    console.log(`Created ${options.length} choice options for ${answerType}`);
+    this.selectedWordIds.clear();
+    this.loadWordList();
+    await this.updateWordCount();
   }
 
-  speakWord() {
-    const word = this.practiceWords[this.currentPracticeIndex];
-    if (!word.word) return;
+  async updateWordCount() {
+    const count = await this.getWordCount([this.currentDeckId]);
 
-    // Use enhanced browser TTS with word-specific language detection
-    this.speakWithEnhancedBrowserTTS(word.word);
+    document.getElementById("word-count").textContent = `Words: ${count}`;
   }
 
-  speakWithEnhancedBrowserTTS(text) {
-    if (!this.speechSynthesis) return;
+  async startPractice() {
+    // Get session settings
+    const shuffleMode = document.getElementById("shuffle-mode").value;
+    const wordSource = document.getElementById("word-source").value;
+    const deckIds = this.getSelectedPracticeDeckIds();
 
-    // Force voice loading if needed
-    if (this.speechSynthesis.getVoices().length === 0) {
-      this.speechSynthesis.getVoices(); // Trigger loading
-      setTimeout(() => this.speakWithEnhancedBrowserTTS(text), 100);
+    if (deckIds.length === 0) {
+      alert("Please select at least one deck to practice.");
       return;
     }
 
-    // Detect language of the specific text being spoken
-    const textLang = this.detectTextLanguage(text);
-    const voice = this.selectBestVoiceForLanguage(textLang);
-    console.log(
-      "🔊 Using Enhanced Browser TTS with voice:",
-      voice ? voice.name : "default",
-    );
-
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = this.getLanguageCode(textLang); // Use text-specific language
-
-    // Voice and language-specific optimized settings
-    const settings = this.getOptimalVoiceSettings(voice, textLang);
-    utterance.rate = settings.rate;
-    utterance.pitch = settings.pitch;
-    utterance.volume = settings.volume;
+    let allWords;
 
-    // Enhanced voice selection
-    if (voice) {
-      utterance.voice = voice;
-      console.log("🎯 Voice details:", {
-        name: voice.name,
-        lang: voice.lang,
-        localService: voice.localService,
-        detectedTextLang: textLang,
-        quality: this.getVoiceQualityScore(voice, {
-          google: 9,
-          microsoft: 8,
-          apple: 9,
-          samsung: 7,
-          amazon: 8,
-        }),
-      });
+    if (wordSource === "wrong") {
+      // By default only drill misses from the direction being practiced
+      let direction = document.getElementById("wrong-direction").value;
+      if (direction === "auto") {
+        direction = this.getModeDirection(
+          document.getElementById("practice-mode").value,
+        );
+      }
+      const wrongWords = await this.getWrongWords(
+        deckIds,
+        direction === "all" ? null : direction,
+      );
+      if (wrongWords.length === 0) {
+        alert(
+          direction === "all"
+            ? "No wrong words found. Practice with all words first to build your wrong words list."
+            : `No wrong words found for ${direction === "recognition" ? "word → meaning" : "meaning → word"} practice.`,
+        );
+        return;
+      }
+      // Practice the current word record so answers are tracked against its
+      // id and its details are shown; fall back to the copy if it was deleted
+      const words = await this.getWordsByIds(
+        wrongWords.map((wrongWord) => wrongWord.wordId),
+      );
+      allWords = wrongWords.map(
+        (wrongWord, index) =>
+          words[index] || { ...wrongWord, id: wrongWord.wordId },
+      );
+    } else if (wordSource === "due") {
+      allWords = await this.getDueWords(shuffleMode === "random", deckIds);
+      if (allWords.length === 0) {
+        alert(
+          "No words are due for review today. Come back tomorrow or practice all words.",
+        );
+        return;
+      }
+    } else {
+      allWords = await this.getWordsInDecks(deckIds);
+
+      if (allWords.length === 0) {
+        alert(
+          "No words available for practice in the selected decks. Please upload some vocabulary first.",
+        );
+        return;
+      }
     }
 
-    // Add pronunciation improvements
-    utterance.text = this.preprocessTextForBetterPronunciation(text, textLang);
+    if (this.practiceTagFilter.size > 0) {
+      allWords = this.filterWordsByTags(allWords);
+      if (allWords.length === 0) {
+        alert("No words match the selected tags.");
+        return;
+      }
+    }
 
-    // Add audio processing hooks
-    utterance.onstart = () => {
-      this.applyAudioEnhancements();
-      console.log("🎵 Speaking:", utterance.text, "in", textLang);
-    };
+    await this.startPracticeWithWords(allWords, wordSource, deckIds);
+  }
 
-    utterance.onend = () => {
-      console.log("✅ Speech completed");
-    };
+  // Starts a session over the given words; source is recorded in the
+  // session history ("all", "due", "wrong" or "session" for a re-practice)
+  async startPracticeWithWords(
+    words,
+    source,
+    deckIds,
+    { useSessionLength = true, requeueGap = this.getLearningStepsGap() } = {},
+  ) {
+    // Starting over gives up any interrupted session; keep it in the history
+    await this.discardSavedPractice();
+
+    const sessionLength = useSessionLength
+      ? document.getElementById("session-length").value
+      : "all";
+    const shuffleMode = document.getElementById("shuffle-mode").value;
 
-    // Better error handling with retry
-    utterance.onerror = (event) => {
-      console.error(
-        "❌ Speech synthesis error:",
-        event,
-        "for text:",
-        text,
-        "lang:",
-        textLang,
-      );
-      // Try once more with default voice
-      if (voice) {
-        console.log("🔄 Retrying with default voice...");
-        setTimeout(() => {
-          const retryUtterance = new SpeechSynthesisUtterance(text);
-          retryUtterance.lang = utterance.lang;
-          retryUtterance.rate = utterance.rate;
-          retryUtterance.pitch = utterance.pitch;
-          retryUtterance.volume = utterance.volume;
-          this.speechSynthesis.speak(retryUtterance);
-        }, 100);
-      }
+    // Prepare practice words
+    this.practiceWords = [...words];
+
+    // Due words are already ordered by priority (overdue first, then new)
+    if (shuffleMode === "random" && source !== "due") {
+      this.shuffleArray(this.practiceWords);
+    }
+
+    // Limit session length
+    if (sessionLength !== "all") {
+      this.practiceWords = this.practiceWords.slice(0, parseInt(sessionLength));
+    }
+
+    this.currentPracticeIndex = 0;
+    this.sessionCorrect = 0;
+    this.sessionTotal = 0;
+    this.sessionGraduations = [];
+    this.choiceDeckWords = null;
+    this.requeueGap = requeueGap;
+    this.showPracticeArea();
+
+    this.currentSession = {
+      startedAt: new Date().toISOString(),
+      mode: document.getElementById("practice-mode").value,
+      source,
+      deckIds,
+      questions: [],
     };
 
-    // Cancel any ongoing speech first
-    this.speechSynthesis.cancel();
+    this.practiceStats.sessions++;
+    new Set(this.practiceWords.map((word) => word.deckId)).forEach((deckId) => {
+      this.getDeckStats(deckId).sessions++;
+    });
+    this.updateProgress();
+    this.showCurrentWord();
+  }
 
-    // Small delay to ensure cancellation is processed
-    setTimeout(() => {
-      this.speechSynthesis.speak(utterance);
-    }, 50);
+  showPracticeArea() {
+    document.querySelector(".practice-setup").style.display = "none";
+    document.querySelector(".practice-controls").style.display = "none";
+    document.getElementById("resume-practice").style.display = "none";
+    document.getElementById("practice-area").style.display = "block";
+    document.getElementById("stop-practice-btn").style.display = "";
   }
 
-  detectTextLanguage(text) {
-    // First check if this exact text appears in our vocabulary database
-    const contextLang = this.getLanguageFromVocabularyContext(text);
-    if (contextLang) {
-      console.log(
-        '🎯 Language from vocabulary context for "' +
-          text +
-          '": ' +
-          contextLang,
+  // The running session is saved to localStorage after every answer so it
+  // can be resumed after a reload. Words are stored as id plus a minimal
+  // copy, for words deleted in the meantime.
+  persistPractice() {
+    const copyWord = (word) => ({
+      id: word.id,
+      deckId: word.deckId,
+      word: word.word,
+      translation: word.translation,
+    });
+
+    try {
+      localStorage.setItem(
+        "vocabulary-practice-session",
+        JSON.stringify({
+          savedAt: new Date().toISOString(),
+          words: this.practiceWords.map(copyWord),
+          // The current word has been answered, so resume at the next one
+          currentPracticeIndex: this.currentPracticeIndex + 1,
+          sessionCorrect: this.sessionCorrect,
+          sessionTotal: this.sessionTotal,
+          sessionGraduations: this.sessionGraduations.map(copyWord),
+          requeueGap: this.requeueGap,
+          session: this.currentSession,
+        }),
       );
-      return contextLang;
+    } catch (error) {
+      // Storage full or unavailable; the session just can't be resumed
+      console.warn("Could not save practice session:", error);
     }
+  }
 
-    // Count characters for each language in the specific text
-    const scores = {
-      ja: this.countJapaneseChars(text),
-      zh: this.countChineseChars(text),
-      ko: this.countKoreanChars(text),
-      en: this.countEnglishChars(text),
-      es: this.countSpanishChars(text),
-      fr: this.countFrenchChars(text),
-      de: this.countGermanChars(text),
-    };
-
-    // Special handling for ambiguous cases (kanji/hanzi that exist in both Japanese and Chinese)
-    if (scores.ja > 0 && scores.zh > 0) {
-      // Use overall vocabulary language bias for ambiguous characters
-      const vocabLang = this.detectedLanguage;
-      if (vocabLang === "ja" || vocabLang === "zh") {
-        console.log(
-          '🔍 Ambiguous text "' +
-            text +
-            '" using vocabulary bias: ' +
-            vocabLang,
-        );
-        return vocabLang;
-      }
-
-      // If no clear bias, check for Japanese-specific indicators
-      if (this.hasJapaneseIndicators(text)) {
-        console.log('🔍 Japanese indicators found in "' + text + '"');
-        return "ja";
-      }
+  getSavedPractice() {
+    const saved = localStorage.getItem("vocabulary-practice-session");
+    if (!saved) return null;
+    try {
+      return JSON.parse(saved);
+    } catch (error) {
+      localStorage.removeItem("vocabulary-practice-session");
+      return null;
     }
+  }
 
-    // Find the language with highest score
-    const detectedLang = Object.keys(scores).reduce((a, b) =>
-      scores[a] > scores[b] ? a : b,
-    );
+  renderResumePractice() {
+    const saved = this.getSavedPractice();
+    const resumeEl = document.getElementById("resume-practice");
+    if (!saved || this.currentSession) {
+      resumeEl.style.display = "none";
+      return;
+    }
 
-    console.log(
-      '🔍 Text language detection for "' + text + '":',
-      scores,
-      "→",
-      detectedLang,
-    );
-    return detectedLang;
+    const total = saved.words.length;
+    document.getElementById("resume-practice-info").textContent =
+      `${this.getPracticeModeLabel(saved.session.mode)} · ${Math.min(saved.currentPracticeIndex, total)} of ${total} answered · Score: ${saved.sessionCorrect}/${saved.sessionTotal} · ${new Date(saved.savedAt).toLocaleString()}`;
+    resumeEl.style.display = "";
   }
 
-  getLanguageFromVocabularyContext(text) {
-    // Check if this text appears in our vocabulary and what language context it's in
-    if (!this.practiceWords) return null;
+  async resumePractice() {
+    const saved = this.getSavedPractice();
+    if (!saved) return;
+
+    // Practice the current word records, falling back to the saved copies
+    const words = await this.getWordsByIds(saved.words.map((word) => word.id));
+    this.practiceWords = saved.words.map((word, index) => words[index] || word);
+    this.currentPracticeIndex = saved.currentPracticeIndex;
+    this.sessionCorrect = saved.sessionCorrect;
+    this.sessionTotal = saved.sessionTotal;
+    this.sessionGraduations = saved.sessionGraduations;
+    this.choiceDeckWords = null;
+    this.requeueGap = saved.requeueGap || 0;
+    this.currentSession = saved.session;
+    document.getElementById("practice-mode").value = saved.session.mode;
+
+    this.showSection("practice");
+    this.showPracticeArea();
+
+    if (this.currentPracticeIndex >= this.practiceWords.length) {
+      this.endPractice();
+    } else {
+      this.updateProgress();
+      this.showCurrentWord();
+    }
+  }
 
-    for (const word of this.practiceWords) {
-      if (word.word === text) {
-        // Found the word, analyze its translation to infer language
-        const translation = word.translation.toLowerCase();
+  // Gives up an interrupted session, logging it as stopped at its last
+  // answer. It's removed first, so a failed save never leaves it resumable.
+  async discardSavedPractice() {
+    const saved = this.getSavedPractice();
+    localStorage.removeItem("vocabulary-practice-session");
+    document.getElementById("resume-practice").style.display = "none";
+    if (!saved) return;
 
-        // Japanese vocabulary often has English translations
-        if (/^[a-z\s,]+$/.test(translation)) {
-          // Translation is English, so the word is likely Japanese
-          return "ja";
-        }
+    try {
+      await this.storeSession(saved.session, false, saved.savedAt);
+    } catch (error) {
+      this.reportSessionSaveError(error);
+    }
+  }
 
-        // Check if translation contains Chinese characters
-        if (
-          this.countChineseChars(word.translation) > 0 &&
-          this.countJapaneseChars(word.translation) === 0
-        ) {
-          return "zh";
-        }
+  // Every tag used by words in the given decks, sorted
+  async getTagsInDecks(deckIds) {
+    const words = await this.getWordsInDecks(deckIds);
+    const tags = new Set(words.flatMap((word) => word.tags || []));
+    return [...tags].sort();
+  }
 
-        // Check if translation contains Japanese characters
-        if (this.countJapaneseChars(word.translation) > 0) {
-          return "ja";
-        }
+  // Offers the tags of the decks selected for practice only, so a tag filter
+  // can't select words from a deck that isn't practiced
+  async renderPracticeTagFilter() {
+    const tags = await this.getTagsInDecks(this.getSelectedPracticeDeckIds());
+    const containerEl = document.getElementById("practice-tags");
 
-        break;
-      }
+    // Drop filters for tags that no longer exist
+    for (const tag of this.practiceTagFilter.keys()) {
+      if (!tags.includes(tag)) this.practiceTagFilter.delete(tag);
+    }
 
-      if (word.translation === text) {
-        // Text is the translation, analyze the word to infer language
-        if (
-          this.countJapaneseChars(word.word) > this.countChineseChars(word.word)
-        ) {
-          return "ja";
-        }
-        if (
-          this.countChineseChars(word.word) > 0 &&
-          this.countJapaneseChars(word.word) === 0
-        ) {
-          return "zh";
-        }
-        break;
-      }
+    if (tags.length === 0) {
+      containerEl.innerHTML = `<span class="tag-filter-hint">No tags in the selected decks. Add them to words in Manage.</span>`;
+      return;
     }
 
-    return null;
+    containerEl.innerHTML = "";
+    tags.forEach((tag) => {
+      const state = this.practiceTagFilter.get(tag);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "tag-filter-btn";
+      if (state) button.classList.add(state);
+      button.textContent = `${state === "exclude" ? "− " : state === "include" ? "+ " : ""}${tag}`;
+      button.title = "Click to include, again to exclude, again to clear";
+      button.addEventListener("click", () => this.cycleTagFilter(tag));
+      containerEl.appendChild(button);
+    });
   }
 
-  hasJapaneseIndicators(text) {
-    // Look for indicators that suggest Japanese rather than Chinese
-    // Japanese often uses certain readings or combinations
-    const japaneseIndicators = [
-      /[\u3040-\u309F]/, // Contains hiragana
-      /[\u30A0-\u30FF]/, // Contains katakana
-      /[々]/, // Iteration mark more common in Japanese
-    ];
+  // Off -> include -> exclude -> off
+  cycleTagFilter(tag) {
+    const state = this.practiceTagFilter.get(tag);
+    if (!state) {
+      this.practiceTagFilter.set(tag, "include");
+    } else if (state === "include") {
+      this.practiceTagFilter.set(tag, "exclude");
+    } else {
+      this.practiceTagFilter.delete(tag);
+    }
+    this.renderPracticeTagFilter();
+  }
 
-    return japaneseIndicators.some((pattern) => pattern.test(text));
+  // Words need at least one included tag (when any are included) and none of
+  // the excluded ones
+  filterWordsByTags(words) {
+    const include = [];
+    const exclude = [];
+    this.practiceTagFilter.forEach((state, tag) =>
+      (state === "include" ? include : exclude).push(tag),
+    );
+
+    return words.filter((word) => {
+      const tags = word.tags || [];
+      if (include.length && !include.some((tag) => tags.includes(tag))) {
+        return false;
+      }
+      return !exclude.some((tag) => tags.includes(tag));
+    });
   }
 
-  selectBestVoiceForLanguage(lang) {
-    const voices = this.speechSynthesis.getVoices();
+  showCurrentWord() {
+    const mode = document.getElementById("practice-mode").value;
+    const word = this.practiceWords[this.currentPracticeIndex];
+    this.questionStartedAt = Date.now();
+    const contentEl = document.getElementById("practice-content");
 
-    // Enhanced quality ranking for voices
-    const voiceQuality = {
-      google: 9,
-      microsoft: 8,
-      apple: 9,
-      samsung: 7,
-      amazon: 8,
-      nuance: 8,
-      cereproc: 7,
-      espeak: 3,
-    };
+    const checkBtn = document.getElementById("check-answer-btn");
+    const nextBtn = document.getElementById("next-word-btn");
 
-    // Language-specific preferred voice names
+    // Hide check button for choice modes since they auto-submit
+    if (this.isChoiceMode(mode)) {
+      checkBtn.style.display = "none";
+    } else {
+      checkBtn.style.display = "block";
+    }
+
+    nextBtn.style.display = "none";
+    document.getElementById("practice-feedback").innerHTML = "";
+    document.getElementById("word-details").style.display = "none";
+    document.getElementById("word-details").innerHTML =
+      this.renderWordDetails(word);
+
+    switch (mode) {
+      case "guess":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>What does this word mean?</h3>
+                        <div class="word-display">${word.word}</div>
+                        <input type="text" id="answer-input" placeholder="Enter translation" />
+                    </div>
+                `;
+        break;
+
+      case "guess-reverse":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>What word has this meaning?</h3>
+                        <div class="translation-display">${word.translation}</div>
+                        <input type="text" id="answer-input" placeholder="Enter word" />
+                    </div>
+                `;
+        break;
+
+      case "choice":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>What does this word mean?</h3>
+                        <div class="word-display">${word.word}</div>
+                        <div class="choice-options" id="choice-options"></div>
+                    </div>
+                `;
+        // Use setTimeout to ensure DOM is updated before creating choices
+        setTimeout(() => this.createMultipleChoices(word, "translation"), 10);
+        break;
+
+      case "choice-reverse":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>Which word has this meaning?</h3>
+                        <div class="translation-display">${word.translation}</div>
+                        <div class="choice-options" id="choice-options"></div>
+                    </div>
+                `;
+        // Use setTimeout to ensure DOM is updated before creating choices
+        setTimeout(() => this.createMultipleChoices(word, "word"), 10);
+        break;
+
+      case "choice-audio":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>What does the word you hear mean?</h3>
+                        <div class="voice-controls">
+                            <button id="speak-word-btn" class="btn voice-btn">🔊 Play Again</button>
+                            <button id="speak-word-slow-btn" class="btn voice-btn">🐢 Play Slowly</button>
+                        </div>
+                        <div class="choice-options" id="choice-options"></div>
+                    </div>
+                `;
+        this.speakWord();
+        // Use setTimeout to ensure DOM is updated before creating choices
+        setTimeout(
+          () =>
+            this.createMultipleChoices(word, "translation", {
+              speakable: true,
+            }),
+          10,
+        );
+        break;
+
+      case "pronunciation":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>Practice pronouncing this word</h3>
+                        <div class="word-display">${word.word}</div>
+                        <div class="translation">${word.translation}</div>
+                        <div class="voice-controls">
+                            <button id="speak-word-btn" class="btn voice-btn">🔊 Play Pronunciation</button>
+                            ${
+                              this.speechRecognition
+                                ? `
+                                <button id="start-listening-btn" class="btn voice-btn">🎤 Start Recording</button>
+                                <button id="stop-listening-btn" class="btn voice-btn" style="display: none;">⏹️ Stop Recording</button>
+                            `
+                                : ""
+                            }
+                        </div>
+                        <div class="pronunciation-practice">
+                            <p>Listen to the pronunciation, then say the word aloud!</p>
+                            <input type="text" id="answer-input" placeholder="Use voice recognition or type the word" />
+                        </div>
+                    </div>
+                `;
+        break;
+
+      case "dictation":
+        contentEl.innerHTML = `
+                    <div class="practice-question">
+                        <h3>Type the word you hear</h3>
+                        <div class="voice-controls">
+                            <button id="speak-word-btn" class="btn voice-btn">🔊 Play Again</button>
+                            <button id="speak-word-slow-btn" class="btn voice-btn">🐢 Play Slowly</button>
+                        </div>
+                        <input type="text" id="answer-input" placeholder="Enter the word (kana is fine)" />
+                    </div>
+                `;
+        this.speakWord();
+        break;
+    }
+
+    const answerInput = document.getElementById("answer-input");
+    if (answerInput) {
+      answerInput.focus();
+      answerInput.addEventListener("keypress", async (e) => {
+        if (e.key === "Enter") {
+          if (
+            document.getElementById("check-answer-btn").style.display !== "none"
+          ) {
+            await this.checkAnswer();
+          } else if (
+            document.getElementById("next-word-btn").style.display !== "none"
+          ) {
+            this.nextWord();
+          }
+        }
+      });
+    }
+  }
+
+  async checkAnswer() {
+    const mode = document.getElementById("practice-mode").value;
+    const word = this.practiceWords[this.currentPracticeIndex];
+    const feedbackEl = document.getElementById("practice-feedback");
+
+    let correctAnswer, isCorrect, userAnswer;
+    const responseTime = Date.now() - this.questionStartedAt;
+
+    // Handle multiple choice modes
+    if (this.isChoiceMode(mode)) {
+      const selectedBtn = document.querySelector(".choice-option.selected");
+      if (!selectedBtn) {
+        alert("Please select an answer");
+        return;
+      }
+      isCorrect = selectedBtn.dataset.correct === "true";
+      correctAnswer = this.getCorrectAnswerForMode(word, mode);
+      userAnswer = selectedBtn.textContent.trim();
+    } else {
+      // Handle text input
+      const answerInput = document.getElementById("answer-input");
+      if (!answerInput) {
+        alert("Please provide an answer");
+        return;
+      }
+      userAnswer = answerInput.value.trim().toLowerCase();
+
+      switch (mode) {
+        case "guess":
+          correctAnswer = word.translation;
+          isCorrect = await this.checkAnswerMatch(userAnswer, word.translation);
+          break;
+        case "guess-reverse":
+          correctAnswer = word.word;
+          isCorrect = await this.checkAnswerMatch(userAnswer, word.word);
+          break;
+        case "pronunciation":
+          correctAnswer = word.word;
+          isCorrect = await this.checkAnswerMatch(userAnswer, word.word);
+          break;
+        case "dictation":
+          correctAnswer = word.word;
+          isCorrect = await this.isDictationMatch(userAnswer, word);
+          break;
+      }
+    }
+
+    const deckStats = this.getDeckStats(word.deckId);
+    this.practiceStats.total++;
+    deckStats.total++;
+    this.sessionTotal++;
+    this.recordModeStats(this.practiceStats, mode, isCorrect);
+    this.recordModeStats(deckStats, mode, isCorrect);
+
+    if (isCorrect) {
+      this.practiceStats.correct++;
+      deckStats.correct++;
+      this.sessionCorrect++;
+      feedbackEl.innerHTML = '<div class="feedback correct">Correct!</div>';
+    } else {
+      // Track wrong word
+      this.addWrongWord(word, mode);
+
+      const formattedAnswer = this.formatCorrectAnswer(correctAnswer);
+      feedbackEl.innerHTML = `
+                <div class="feedback incorrect">
+                    Incorrect
+                    <div class="correct-answer">
+                        Correct answer${formattedAnswer.split(",").length > 1 ? "s" : ""}:
+                        ${formattedAnswer}
+                    </div>
+                </div>
+            `;
+    }
+
+    const record = await this.recordReview(
+      word,
+      isCorrect,
+      responseTime,
+      mode,
+    );
+
+    // Enough correct answers in a row take the word off the wrong words
+    let graduated = false;
+    if (isCorrect && record) {
+      const direction = this.getModeDirection(mode);
+      const streak = record.performance.directionStreaks[direction];
+      if (streak >= this.getGraduationStreak()) {
+        graduated = await this.graduateWrongWord(word.id, direction);
+      }
+    }
+    if (graduated) {
+      this.sessionGraduations.push(word);
+      feedbackEl.innerHTML += `<div class="feedback-graduated">🎓 Graduated from your wrong words</div>`;
+    }
+
+    if (this.currentSession) {
+      this.currentSession.questions.push({
+        wordId: word.id,
+        deckId: word.deckId,
+        word: word.word,
+        translation: word.translation,
+        prompt: this.getPromptForMode(word, mode),
+        answer: userAnswer,
+        correctAnswer,
+        correct: isCorrect,
+        responseTime,
+        graduated,
+      });
+    }
+
+    // Learning steps: a missed word is asked again a few words later, and
+    // again each time it's missed, so the session only ends once every word
+    // has been answered correctly
+    if (this.requeueGap && !isCorrect) {
+      this.practiceWords.splice(
+        this.currentPracticeIndex + 1 + this.requeueGap,
+        0,
+        word,
+      );
+    }
+    if (this.currentSession) {
+      this.persistPractice();
+    }
+    this.updateProgress();
+
+    // Reveal reading, example and notes now that the answer is known
+    const detailsEl = document.getElementById("word-details");
+    if (detailsEl.innerHTML.trim()) {
+      detailsEl.style.display = "block";
+    }
+
+    document.getElementById("check-answer-btn").style.display = "none";
+    document.getElementById("next-word-btn").style.display = "block";
+
+    this.saveStats();
+  }
+
+  // Recognition shows the word and asks for its meaning; production shows
+  // the meaning (or asks for the spoken or heard word) and expects the word
+  // itself
+  getModeDirection(mode) {
+    switch (mode) {
+      case "guess-reverse":
+      case "choice-reverse":
+      case "pronunciation":
+      case "dictation":
+        return "production";
+      default:
+        return "recognition";
+    }
+  }
+
+  // Counts an answer under its practice mode and its direction
+  recordModeStats(stats, mode, isCorrect) {
+    const groups = [
+      ["modes", mode],
+      ["directions", this.getModeDirection(mode)],
+    ];
+    for (const [group, key] of groups) {
+      stats[group] = stats[group] || {};
+      const counter = stats[group][key] || { correct: 0, total: 0 };
+      counter.total++;
+      if (isCorrect) counter.correct++;
+      stats[group][key] = counter;
+    }
+  }
+
+  isChoiceMode(mode) {
+    return (
+      mode === "choice" || mode === "choice-reverse" || mode === "choice-audio"
+    );
+  }
+
+  // What the question shows: the word, or its meaning in reverse modes
+  getPromptForMode(word, mode) {
+    switch (mode) {
+      case "guess-reverse":
+      case "choice-reverse":
+        return word.translation;
+      default:
+        return word.word;
+    }
+  }
+
+  getCorrectAnswerForMode(word, mode) {
+    switch (mode) {
+      case "guess":
+      case "choice":
+      case "choice-audio":
+        return word.translation;
+      case "guess-reverse":
+      case "choice-reverse":
+        return word.word;
+      case "pronunciation":
+      case "dictation":
+        return word.word;
+      default:
+        return word.translation;
+    }
+  }
+
+  // Dictation tests what was heard, so checkAnswerMatch's translation,
+  // partial and fuzzy leniency doesn't apply: the word (or a kana/kanji
+  // spelling of it) or its reading, ignoring hiragana/katakana and
+  // full/half-width differences
+  async isDictationMatch(userAnswer, word) {
+    const answerKey = this.getWordMatchKey(userAnswer, true);
+    if (!answerKey) return false;
+    if (word.reading && this.getWordMatchKey(word.reading, true) === answerKey) {
+      return true;
+    }
+    return this.areLanguageEquivalent(
+      userAnswer.trim().normalize("NFKC").toLowerCase(),
+      word.word.trim().normalize("NFKC").toLowerCase(),
+      { exact: true },
+    );
+  }
+
+  async checkAnswerMatch(userAnswer, correctAnswer) {
+    if (!correctAnswer) return false;
+
+    const normalizedUser = userAnswer.toLowerCase().trim();
+    const normalizedCorrect = correctAnswer.toLowerCase().trim();
+
+    // Direct match
+    if (normalizedUser === normalizedCorrect) return true;
+
+    // Language character matching - check if they represent the same meaning
+    console.log(
+      "🔍 Checking language equivalency for:",
+      normalizedUser,
+      "⟷",
+      normalizedCorrect,
+    );
+    if (await this.areLanguageEquivalent(normalizedUser, normalizedCorrect)) {
+      console.log("✅ Language equivalency match found");
+      return true;
+    }
+
+    // Split by common separators and check if user answer matches any part
+    const separators = [",", ";", "/", "|", " or ", " and "];
+    let possibleAnswers = [normalizedCorrect];
+
+    for (const sep of separators) {
+      const newAnswers = [];
+      for (const answer of possibleAnswers) {
+        if (answer.includes(sep)) {
+          newAnswers.push(...answer.split(sep).map((part) => part.trim()));
+        } else {
+          newAnswers.push(answer);
+        }
+      }
+      possibleAnswers = newAnswers;
+    }
+
+    // Remove duplicates and empty strings
+    possibleAnswers = [...new Set(possibleAnswers)].filter(
+      (answer) => answer.length > 0,
+    );
+
+    // Check if user answer matches any of the possible answers
+    for (const possible of possibleAnswers) {
+      if (normalizedUser === possible) return true;
+
+      // Language equivalency check for each possible answer
+      if (await this.areLanguageEquivalent(normalizedUser, possible)) {
+        return true;
+      }
+
+      // Also check if user answer is contained in the possible answer (for articles like "a", "an", "the")
+      if (possible.includes(normalizedUser) && normalizedUser.length >= 2)
+        return true;
+    }
+
+    // Check fuzzy matching for small typos (optional)
+    for (const possible of possibleAnswers) {
+      if (
+        this.calculateSimilarity(normalizedUser, possible) > 0.8 &&
+        Math.abs(normalizedUser.length - possible.length) <= 2
+      ) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // With exact, only other spellings of the same word count (kana for kanji
+  // and back), never its translation or a partial match
+  areLanguageEquivalent(userAnswer, correctAnswer, { exact = false } = {}) {
+    // Basic hiragana to katakana conversion and vice versa
+    const hiraganaToKatakana = (str) => {
+      return str.replace(/[\u3041-\u3096]/g, (match) => {
+        return String.fromCharCode(match.charCodeAt(0) + 0x60);
+      });
+    };
+
+    const katakanaToHiragana = (str) => {
+      return str.replace(/[\u30A1-\u30F6]/g, (match) => {
+        return String.fromCharCode(match.charCodeAt(0) - 0x60);
+      });
+    };
+
+    // Convert both to hiragana for comparison
+    const userHiragana = katakanaToHiragana(userAnswer);
+    const correctHiragana = katakanaToHiragana(correctAnswer);
+
+    // Check direct hiragana equivalency
+    if (userHiragana === correctHiragana) return true;
+
+    // Convert both to katakana for comparison
+    const userKatakana = hiraganaToKatakana(userAnswer);
+    const correctKatakana = hiraganaToKatakana(correctAnswer);
+
+    // Check direct katakana equivalency
+    if (userKatakana === correctKatakana) return true;
+
+    // Dynamic equivalency check - look through existing vocabulary
+    return this.checkDynamicEquivalency(userAnswer, correctAnswer, { exact });
+  }
+
+  async checkDynamicEquivalency(
+    userAnswer,
+    correctAnswer,
+    { exact = false } = {},
+  ) {
+    // Get all words from database to find patterns
+    const transaction = this.db.transaction(["words"], "readonly");
+    const store = transaction.objectStore("words");
+
+    const allWords = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (exact) {
+      // Both answers must be Japanese spellings of one vocabulary entry: its
+      // word, its reading, or a translation written in kana/kanji
+      const user = this.normalizeJapanese(userAnswer);
+      const correct = this.normalizeJapanese(correctAnswer);
+      return allWords.some((word) => {
+        const forms = [word.word, word.reading, word.translation]
+          .filter(
+            (form, index) =>
+              form && (index < 2 || /[\u3040-\u30ff\u4e00-\u9fff]/.test(form)),
+          )
+          .map((form) => this.normalizeJapanese(form.trim()));
+        return forms.includes(user) && forms.includes(correct);
+      });
+    }
+
+    // Enhanced matching for Japanese text
+    for (const word of allWords) {
+      // Direct matches
+      if (userAnswer === word.word && correctAnswer === word.translation) {
+        return true;
+      }
+      if (userAnswer === word.translation && correctAnswer === word.word) {
+        return true;
+      }
+
+      // Check if both user answer and correct answer appear in the same vocabulary entry
+      // This handles cases where both forms exist in your database
+      const wordForms = [word.word, word.translation].map((w) =>
+        w.toLowerCase(),
+      );
+      if (
+        wordForms.includes(userAnswer.toLowerCase()) &&
+        wordForms.includes(correctAnswer.toLowerCase())
+      ) {
+        return true;
+      }
+
+      // Cross-reference check: if userAnswer matches any word and correctAnswer matches its pair
+      if (
+        this.normalizeJapanese(userAnswer) ===
+          this.normalizeJapanese(word.word) &&
+        this.normalizeJapanese(correctAnswer) ===
+          this.normalizeJapanese(word.translation)
+      ) {
+        return true;
+      }
+      if (
+        this.normalizeJapanese(userAnswer) ===
+          this.normalizeJapanese(word.translation) &&
+        this.normalizeJapanese(correctAnswer) ===
+          this.normalizeJapanese(word.word)
+      ) {
+        return true;
+      }
+    }
+
+    // Look for semantic equivalency patterns
+    return this.checkSemanticEquivalency(userAnswer, correctAnswer, allWords);
+  }
+
+  normalizeJapanese(text) {
+    // Convert katakana to hiragana for comparison
+    return text
+      .replace(/[\u30A1-\u30F6]/g, (match) => {
+        return String.fromCharCode(match.charCodeAt(0) - 0x60);
+      })
+      .toLowerCase();
+  }
+
+  checkSemanticEquivalency(userAnswer, correctAnswer, allWords) {
+    // Look for patterns where different forms of the same word appear
+    const userNormalized = this.normalizeJapanese(userAnswer);
+    const correctNormalized = this.normalizeJapanese(correctAnswer);
+
+    // Check if these could be different representations of the same concept
+    for (const word of allWords) {
+      const wordNorm = this.normalizeJapanese(word.word);
+      const transNorm = this.normalizeJapanese(word.translation);
+
+      // If either userAnswer or correctAnswer appears in vocabulary,
+      // check if they share semantic meaning
+      if (
+        userNormalized === wordNorm ||
+        userNormalized === transNorm ||
+        correctNormalized === wordNorm ||
+        correctNormalized === transNorm
+      ) {
+        // Additional heuristics for Japanese word equivalency
+        if (this.areJapaneseWordVariants(userAnswer, correctAnswer)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  areJapaneseWordVariants(word1, word2) {
+    // Check if words share common elements (like same verb stem)
+    const norm1 = this.normalizeJapanese(word1);
+    const norm2 = this.normalizeJapanese(word2);
+
+    // Debug logging for equivalency checking (only when not matching)
+    const shouldLog = norm1 !== norm2;
+
+    // Direct match after normalization
+    if (norm1 === norm2) {
+      return true;
+    }
+
+    // If one is significantly shorter, it might be a stem of the other
+    const longer = norm1.length > norm2.length ? norm1 : norm2;
+    const shorter = norm1.length > norm2.length ? norm2 : norm1;
+
+    // Check if shorter form is contained in longer form (potential stem matching)
+    if (shorter.length >= 2 && longer.includes(shorter)) {
+      return true;
+    }
+
+    // For conjugated forms, check if they share the same beginning
+    if (longer.length > 2 && shorter.length > 2) {
+      const commonLength = Math.min(longer.length - 1, shorter.length - 1, 3);
+      if (
+        longer.substring(0, commonLength) === shorter.substring(0, commonLength)
+      ) {
+        return true;
+      }
+    }
+
+    // Check common hiragana-kanji pairs
+    const commonPairs = {
+      かいしゃ: "会社",
+      がっこう: "学校",
+      せんせい: "先生",
+      がくせい: "学生",
+      しごと: "仕事",
+      でんわ: "電話",
+      でんわばんごう: "電話番号",
+      びょういん: "病院",
+      ぎんこう: "銀行",
+      としょかん: "図書館",
+      こうえん: "公園",
+      えき: "駅",
+      みち: "道",
+      いえ: "家",
+      くるま: "車",
+      でんしゃ: "電車",
+      ひこうき: "飛行機",
+      みずうみ: "湖",
+      やま: "山",
+      かわ: "川",
+      うみ: "海",
+      ばんごう: "番号",
+      じゅうしょ: "住所",
+      なまえ: "名前",
+      ねんれい: "年齢",
+      せいねんがっぴ: "生年月日",
+      こくせき: "国籍",
+    };
+
+    // Check both directions
+    if (commonPairs[word1] === word2 || commonPairs[word2] === word1) {
+      console.log("✅ Common pair match found:", word1, "⟷", word2);
+      return true;
+    }
+
+    // Enhanced compound word analysis
+    if (this.areCompoundWordEquivalents(word1, word2, commonPairs)) {
+      console.log("✅ Compound word equivalency found:", word1, "⟷", word2);
+      return true;
+    }
+
+    console.log("❌ No equivalency found");
+    return false;
+  }
+
+  areCompoundWordEquivalents(word1, word2, commonPairs) {
+    // For compound words, try breaking them down and checking parts
+    const longer = word1.length > word2.length ? word1 : word2;
+    const shorter = word1.length > word2.length ? word2 : word1;
+
+    // If the longer word might be a compound, try to find matching parts
+    if (longer.length >= 4) {
+      // Check if we can build the longer word from known parts
+      for (let i = 2; i <= longer.length - 2; i++) {
+        const part1 = longer.substring(0, i);
+        const part2 = longer.substring(i);
+
+        // Check if both parts have known equivalents
+        const part1Equiv =
+          commonPairs[part1] ||
+          Object.keys(commonPairs).find((key) => commonPairs[key] === part1);
+        const part2Equiv =
+          commonPairs[part2] ||
+          Object.keys(commonPairs).find((key) => commonPairs[key] === part2);
+
+        if (part1Equiv && part2Equiv) {
+          // Try to reconstruct the compound
+          const reconstructed =
+            (typeof part1Equiv === "string" ? part1Equiv : part1) +
+            (typeof part2Equiv === "string" ? part2Equiv : part2);
+
+          if (reconstructed === shorter) {
+            console.log(
+              "🔍 Compound word analysis:",
+              longer,
+              "=",
+              part1,
+              "+",
+              part2,
+              "→",
+              reconstructed,
+              "=",
+              shorter,
+            );
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  calculateSimilarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+
+    if (longer.length === 0) return 1.0;
+
+    const editDistance = this.levenshteinDistance(longer, shorter);
+    return (longer.length - editDistance) / longer.length;
+  }
+
+  levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+      matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+      matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1,
+          );
+        }
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+
+  nextWord() {
+    this.currentPracticeIndex++;
+
+    if (this.currentPracticeIndex >= this.practiceWords.length) {
+      this.endPractice();
+    } else {
+      this.updateProgress();
+      this.showCurrentWord();
+    }
+  }
+
+  endPractice() {
+    const session = this.currentSession;
+    this.saveSession(true).catch((error) => this.reportSessionSaveError(error));
+
+    // Each missed word once, in the order it was first missed
+    const questions = session ? session.questions : [];
+    const missedIds = new Set(
+      questions
+        .filter((question) => !question.correct)
+        .map((question) => question.wordId),
+    );
+    this.sessionMisses = [...missedIds]
+      .map((id) => this.practiceWords.find((word) => word.id === id))
+      .filter(Boolean);
+    this.sessionMissDeckIds = session ? session.deckIds : [];
+
+    const contentEl = document.getElementById("practice-content");
+    const sessionAccuracy =
+      this.sessionTotal > 0
+        ? Math.round((this.sessionCorrect / this.sessionTotal) * 100)
+        : 0;
+
+    // Update progress bar to 100%
+    document.getElementById("progress-fill").style.width = "100%";
+    document.getElementById("progress-text").textContent = "Session Complete!";
+
+    contentEl.innerHTML = `
+            <div class="practice-complete">
+                <h3>🎉 Practice Session Complete!</h3>
+                <div class="session-results">
+                    <div class="result-item">
+                        <span class="result-label">Questions Answered:</span>
+                        <span class="result-value">${this.currentPracticeIndex}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Correct Answers:</span>
+                        <span class="result-value">${this.sessionCorrect}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Session Accuracy:</span>
+                        <span class="result-value">${sessionAccuracy}%</span>
+                    </div>
+                    ${
+                      this.sessionGraduations.length
+                        ? `
+                    <div class="result-item">
+                        <span class="result-label">Graduated from Wrong Words:</span>
+                        <span class="result-value">${this.sessionGraduations.length}</span>
+                    </div>
+                    <div class="graduated-words">🎓 ${this.sessionGraduations.map((word) => this.escapeHtml(word.word)).join(", ")}</div>`
+                        : ""
+                    }
+                </div>
+                ${
+                  questions.length
+                    ? `
+                <div class="session-table-wrapper session-recap">
+                    ${this.renderSessionTable(questions)}
+                </div>`
+                    : ""
+                }
+                <div class="completion-actions">
+                    ${
+                      this.sessionMisses.length
+                        ? `<button id="retry-missed-btn" class="btn">Retry ${this.sessionMisses.length} Missed Word${this.sessionMisses.length === 1 ? "" : "s"}</button>`
+                        : ""
+                    }
+                    <button id="start-new-practice-btn" class="btn">Start New Practice</button>
+                    <button id="back-to-setup-btn" class="btn" style="background: rgba(108, 117, 125, 0.8);">Back to Setup</button>
+                </div>
+            </div>
+        `;
+
+    document.getElementById("check-answer-btn").style.display = "none";
+    document.getElementById("next-word-btn").style.display = "none";
+    document.getElementById("stop-practice-btn").style.display = "none";
+
+    // Add event listeners for completion buttons
+    document
+      .getElementById("retry-missed-btn")
+      ?.addEventListener("click", () => {
+        this.retryMissedWords();
+      });
+
+    document
+      .getElementById("start-new-practice-btn")
+      .addEventListener("click", () => {
+        this.startPractice();
+      });
+
+    document
+      .getElementById("back-to-setup-btn")
+      .addEventListener("click", () => {
+        this.stopPractice();
+      });
+  }
+
+  // A new round of just the last session's misses; anything missed again is
+  // asked again until every word has been answered correctly, by default at
+  // the end of the round
+  async retryMissedWords() {
+    await this.startPracticeWithWords(
+      this.sessionMisses,
+      "retry",
+      this.sessionMissDeckIds,
+      {
+        useSessionLength: false,
+        requeueGap: this.getLearningStepsGap() || this.sessionMisses.length,
+      },
+    );
+  }
+
+  // How many words later a missed word comes back; 0 turns learning steps off
+  getLearningStepsGap() {
+    return Number(document.getElementById("learning-steps").value) || 0;
+  }
+
+  stopPractice() {
+    this.saveSession(false).catch((error) => this.reportSessionSaveError(error));
+
+    document.querySelector(".practice-setup").style.display = "grid";
+    document.querySelector(".practice-controls").style.display = "flex";
+    document.getElementById("practice-area").style.display = "none";
+  }
+
+  // Writes the current session to the history; it can no longer be resumed
+  async saveSession(completed) {
+    const session = this.currentSession;
+    this.currentSession = null;
+    await this.storeSession(session, completed);
+    // Kept until stored, so a failed save can still be resumed
+    localStorage.removeItem("vocabulary-practice-session");
+  }
+
+  reportSessionSaveError(error) {
+    console.error("Saving practice session failed:", error);
+    alert(`This session could not be saved to the history: ${error.message}`);
+  }
+
+  // Sessions stopped before the first answer are dropped
+  async storeSession(session, completed, endedAt = new Date().toISOString()) {
+    if (!session || session.questions.length === 0) return;
+
+    const transaction = this.db.transaction(["sessions"], "readwrite");
+    const store = transaction.objectStore("sessions");
+
+    await new Promise((resolve, reject) => {
+      const request = store.add({
+        ...session,
+        endedAt,
+        completed,
+      });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Newest first; with deckIds, only sessions that practiced one of them
+  async getSessions(deckIds = null) {
+    const transaction = this.db.transaction(["sessions"], "readonly");
+    const store = transaction.objectStore("sessions");
+
+    const sessions = await new Promise((resolve, reject) => {
+      const request = store.index("startedAt").getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return sessions
+      .filter(
+        (session) =>
+          !deckIds || session.deckIds.some((id) => deckIds.includes(id)),
+      )
+      .reverse();
+  }
+
+  getPracticeModeLabel(mode) {
+    const option = document.querySelector(
+      `#practice-mode option[value="${mode}"]`,
+    );
+    return option ? option.textContent.trim() : mode;
+  }
+
+  getWordSourceLabel(source) {
+    if (source === "session") return "Missed words from a past session";
+    if (source === "retry") return "Retry of missed words";
+    const option = document.querySelector(
+      `#word-source option[value="${source}"]`,
+    );
+    return option ? option.textContent.trim() : source;
+  }
+
+  renderSessionHistory(sessions) {
+    const listEl = document.getElementById("session-history-list");
+
+    if (sessions.length === 0) {
+      listEl.innerHTML = `<p class="session-history-empty">No practice sessions yet.</p>`;
+      return;
+    }
+
+    listEl.innerHTML = sessions
+      .map((session) => {
+        const correct = session.questions.filter((q) => q.correct).length;
+        const total = session.questions.length;
+        const accuracy = Math.round((correct / total) * 100);
+        return `
+                <button type="button" class="session-item" onclick="app.showSessionDetail(${session.id})">
+                    <span class="session-date">${new Date(session.startedAt).toLocaleString()}</span>
+                    <span class="session-mode">${this.escapeHtml(this.getPracticeModeLabel(session.mode))}</span>
+                    <span class="session-score">${correct}/${total} (${accuracy}%)</span>
+                    ${session.completed ? "" : `<span class="session-stopped">Stopped</span>`}
+                </button>
+            `;
+      })
+      .join("");
+  }
+
+  // One row per answer. Sessions logged before prompts were recorded fall
+  // back to the word and its translation.
+  renderSessionTable(questions) {
+    const rows = questions
+      .map(
+        (question) => `
+                <tr class="${question.correct ? "correct" : "incorrect"}">
+                    <td>${question.correct ? "✓" : "✗"}</td>
+                    <td>${this.escapeHtml(question.prompt ?? question.word)}</td>
+                    <td>${this.escapeHtml(question.answer || "")}</td>
+                    <td>${this.escapeHtml(question.correctAnswer ?? question.translation)}</td>
+                    <td>${(question.responseTime / 1000).toFixed(1)} s</td>
+                </tr>
+            `,
+      )
+      .join("");
+
+    return `
+                <table class="session-table">
+                    <thead>
+                        <tr><th></th><th>Prompt</th><th>Your answer</th><th>Correct answer</th><th>Time</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+  }
+
+  async showSessionDetail(id) {
+    const transaction = this.db.transaction(["sessions"], "readonly");
+    const session = await new Promise((resolve, reject) => {
+      const request = transaction.objectStore("sessions").get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (!session) return;
+
+    const correct = session.questions.filter((q) => q.correct).length;
+    const missed = session.questions.length - correct;
+    const minutes = Math.max(
+      1,
+      Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000),
+    );
+    const decks = session.deckIds.map((deckId) => this.getDeckName(deckId));
+
+    document.getElementById("session-detail-content").innerHTML = `
+                <h4>${new Date(session.startedAt).toLocaleString()}</h4>
+                <p class="session-detail-meta">
+                    ${this.escapeHtml(this.getPracticeModeLabel(session.mode))} ·
+                    ${this.escapeHtml(this.getWordSourceLabel(session.source))} ·
+                    ${this.escapeHtml(decks.join(", "))} ·
+                    ${minutes} min${session.completed ? "" : " · stopped early"}
+                </p>
+                <p class="session-detail-score">${correct} of ${session.questions.length} correct</p>
+                <div class="session-table-wrapper">
+                    ${this.renderSessionTable(session.questions)}
+                </div>
+                ${missed ? `<button class="btn" onclick="app.practiceSessionMisses(${session.id})">Practice ${missed} Missed Word${missed === 1 ? "" : "s"}</button>` : ""}
+            `;
+
+    document.getElementById("session-history-list").style.display = "none";
+    document.getElementById("session-detail").style.display = "block";
+  }
+
+  hideSessionDetail() {
+    document.getElementById("session-detail").style.display = "none";
+    document.getElementById("session-history-list").style.display = "block";
+  }
+
+  async practiceSessionMisses(id) {
+    const transaction = this.db.transaction(["sessions"], "readonly");
+    const session = await new Promise((resolve, reject) => {
+      const request = transaction.objectStore("sessions").get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (!session) return;
+
+    // Each missed word once, using the current record when it still exists
+    const missed = new Map();
+    session.questions
+      .filter((question) => !question.correct)
+      .forEach((question) =>
+        missed.set(question.wordId ?? question.word, question),
+      );
+    const questions = [...missed.values()];
+    const words = await this.getWordsByIds(
+      questions.map((question) => question.wordId),
+    );
+    const practiceWords = questions.map(
+      (question, index) => words[index] || { ...question, id: question.wordId },
+    );
+
+    this.hideSessionDetail();
+    this.showSection("practice");
+    await this.startPracticeWithWords(practiceWords, "session", session.deckIds, {
+      useSessionLength: false,
+    });
+  }
+
+  updateProgress() {
+    const currentQuestion = this.currentPracticeIndex + 1;
+    // The queue grows when learning steps bring missed words back
+    const totalQuestions = this.practiceWords.length;
+    const progressPercentage =
+      (this.currentPracticeIndex / totalQuestions) * 100;
+
+    // Update progress text
+    document.getElementById("progress-text").textContent =
+      `Question ${currentQuestion} of ${totalQuestions}`;
+
+    // Update score
+    document.getElementById("progress-score").textContent =
+      `Score: ${this.sessionCorrect}/${this.sessionTotal}`;
+
+    // Update progress bar
+    document.getElementById("progress-fill").style.width =
+      `${progressPercentage}%`;
+  }
+
+  formatCorrectAnswer(answer) {
+    if (!answer) return "";
+
+    // Split by common separators and create a nicely formatted display
+    const separators = [",", ";", "/", "|", " or ", " and "];
+    let options = [answer];
+
+    for (const sep of separators) {
+      const newOptions = [];
+      for (const option of options) {
+        if (option.includes(sep)) {
+          newOptions.push(...option.split(sep).map((part) => part.trim()));
+        } else {
+          newOptions.push(option);
+        }
+      }
+      options = newOptions;
+    }
+
+    // Remove duplicates and empty strings
+    options = [...new Set(options)].filter((opt) => opt.length > 0);
+
+    if (options.length === 1) {
+      return `<div class="answer-option">${options[0]}</div>`;
+    } else {
+      return `<div class="answer-options">${options
+        .map((opt) => `<span class="answer-option">${opt}</span>`)
+        .join("")}</div>`;
+    }
+  }
+
+  shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+  }
+
+  showAddWordModal() {
+    document.getElementById("new-word-deck").value = this.currentDeckId;
+    document.getElementById("add-word-modal").style.display = "block";
+  }
+
+  hideAddWordModal() {
+    document.getElementById("add-word-modal").style.display = "none";
+    document.getElementById("add-word-form").reset();
+  }
+
+  async saveStats() {
+    const transaction = this.db.transaction(["stats"], "readwrite");
+    const store = transaction.objectStore("stats");
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({ id: "practice", ...this.practiceStats });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadStats() {
+    const transaction = this.db.transaction(["stats"], "readonly");
+    const store = transaction.objectStore("stats");
+
+    const stats = await new Promise((resolve, reject) => {
+      const request = store.get("practice");
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (stats) {
+      this.practiceStats = { decks: {}, ...stats };
+      delete this.practiceStats.id;
+    }
+  }
+
+  getDeckStats(deckId) {
+    if (!this.practiceStats.decks[deckId]) {
+      this.practiceStats.decks[deckId] = { sessions: 0, correct: 0, total: 0 };
+    }
+    return this.practiceStats.decks[deckId];
+  }
+
+  async updateStats() {
+    // Either every deck or the single deck picked in the Statistics filter
+    const statsDeck = document.getElementById("stats-deck").value;
+    const deckIds = statsDeck === "all" ? null : [Number(statsDeck)];
+    const stats = deckIds
+      ? this.practiceStats.decks[deckIds[0]] || {
+          sessions: 0,
+          correct: 0,
+          total: 0,
+        }
+      : this.practiceStats;
+
+    const wordCount = await this.getWordCount(deckIds);
+    const wrongWordsCount = await this.getWrongWordsCount(deckIds);
+    const accuracy =
+      stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+
+    document.getElementById("total-words").textContent = wordCount;
+    document.getElementById("practice-sessions").textContent = stats.sessions;
+    document.getElementById("correct-answers").textContent = stats.correct;
+    document.getElementById("accuracy").textContent = accuracy + "%";
+    document.getElementById("wrong-words-count").textContent = wrongWordsCount;
+    document.getElementById("due-words-count").textContent =
+      await this.getDueWordsCount(deckIds);
+
+    this.renderModeBreakdown(stats);
+
+    this.loadWrongWordReview();
+
+    const sessions = await this.getSessions(deckIds);
+    this.renderSessionHistory(sessions);
+    this.renderStatsCharts(sessions, deckIds);
+  }
+
+  renderModeBreakdown(stats) {
+    const renderRows = (counters = {}, keys, getLabel) => {
+      const rows = keys
+        .filter((key) => counters[key] && counters[key].total > 0)
+        .map((key) => {
+          const { correct, total } = counters[key];
+          return `
+                <tr>
+                    <td>${this.escapeHtml(getLabel(key))}</td>
+                    <td>${correct}/${total}</td>
+                    <td>${Math.round((correct / total) * 100)}%</td>
+                </tr>`;
+        })
+        .join("");
+      return (
+        rows ||
+        `<tr><td colspan="3" class="breakdown-empty">No answers yet</td></tr>`
+      );
+    };
+
+    const modes = [...document.querySelectorAll("#practice-mode option")].map(
+      (option) => option.value,
+    );
+    document.getElementById("mode-breakdown").innerHTML = renderRows(
+      stats.modes,
+      modes,
+      (mode) => this.getPracticeModeLabel(mode),
+    );
+    document.getElementById("direction-breakdown").innerHTML = renderRows(
+      stats.directions,
+      ["recognition", "production"],
+      (direction) =>
+        direction === "recognition"
+          ? "Recognition (Word → Meaning)"
+          : "Production (Meaning → Word)",
+    );
+  }
+
+  // "YYYY-MM-DD" in local time, so late-night practice counts for that day
+  getLocalDateKey(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Questions answered and answered correctly per local day, plus the day
+  // each word was first answered correctly
+  getDailyActivity(sessions, deckIds = null) {
+    const days = new Map();
+    const learned = new Map();
+
+    [...sessions]
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+      .forEach((session) => {
+        const day = this.getLocalDateKey(new Date(session.startedAt));
+        session.questions
+          .filter((q) => !deckIds || deckIds.includes(q.deckId))
+          .forEach((question) => {
+            const activity = days.get(day) || { total: 0, correct: 0 };
+            activity.total++;
+            if (question.correct) {
+              activity.correct++;
+              const key = question.wordId ?? question.word;
+              if (!learned.has(key)) learned.set(key, day);
+            }
+            days.set(day, activity);
+          });
+      });
+
+    const learnedPerDay = new Map();
+    learned.forEach((day) =>
+      learnedPerDay.set(day, (learnedPerDay.get(day) || 0) + 1),
+    );
+    return { days, learnedPerDay };
+  }
+
+  // The last `count` days, oldest first
+  getRecentDays(count) {
+    const days = [];
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - (count - 1));
+    for (let i = 0; i < count; i++) {
+      days.push(new Date(date));
+      date.setDate(date.getDate() + 1);
+    }
+    return days;
+  }
+
+  renderStatsCharts(sessions, deckIds = null) {
+    const { days, learnedPerDay } = this.getDailyActivity(sessions, deckIds);
+    const recentDays = this.getRecentDays(30);
+    const shortDate = (date) =>
+      date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+    // Accuracy per day, or per week starting on Monday
+    const period = document.getElementById("accuracy-period").value;
+    let accuracyPoints;
+    if (period === "week") {
+      const weeks = this.getRecentDays(7 * 12).reduce((list, date) => {
+        if (list.length === 0 || date.getDay() === 1) {
+          list.push({ date, total: 0, correct: 0 });
+        }
+        const activity = days.get(this.getLocalDateKey(date));
+        if (activity) {
+          list[list.length - 1].total += activity.total;
+          list[list.length - 1].correct += activity.correct;
+        }
+        return list;
+      }, []);
+      accuracyPoints = weeks.map((week) => ({
+        label: shortDate(week.date),
+        value: week.total ? (week.correct / week.total) * 100 : null,
+        title: `Week of ${shortDate(week.date)}`,
+      }));
+    } else {
+      accuracyPoints = recentDays.map((date) => {
+        const activity = days.get(this.getLocalDateKey(date));
+        return {
+          label: shortDate(date),
+          value: activity ? (activity.correct / activity.total) * 100 : null,
+          title: shortDate(date),
+        };
+      });
+    }
+    document.getElementById("accuracy-chart").innerHTML = this.renderChart(
+      "line",
+      accuracyPoints,
+      { max: 100, format: (value) => `${Math.round(value)}%` },
+    );
+
+    document.getElementById("questions-chart").innerHTML = this.renderChart(
+      "bar",
+      recentDays.map((date) => {
+        const activity = days.get(this.getLocalDateKey(date));
+        return {
+          label: shortDate(date),
+          value: activity ? activity.total : null,
+          title: shortDate(date),
+        };
+      }),
+      { format: (value) => `${value} question${value === 1 ? "" : "s"}` },
+    );
+
+    // Running total, starting from the words learned before the window
+    const windowStart = this.getLocalDateKey(recentDays[0]);
+    let learnedTotal = 0;
+    learnedPerDay.forEach((count, day) => {
+      if (day < windowStart) learnedTotal += count;
+    });
+    document.getElementById("learned-chart").innerHTML = this.renderChart(
+      "line",
+      recentDays.map((date) => {
+        const key = this.getLocalDateKey(date);
+        learnedTotal += learnedPerDay.get(key) || 0;
+        return {
+          label: shortDate(date),
+          // Nothing to show before the first practice
+          value: learnedTotal || days.has(key) ? learnedTotal : null,
+          title: shortDate(date),
+        };
+      }),
+      { format: (value) => `${value} word${value === 1 ? "" : "s"}` },
+    );
+
+    document.getElementById("activity-heatmap").innerHTML =
+      this.renderHeatmap(days);
+  }
+
+  // Minimal SVG line or bar chart; points are {label, value, title} and a
+  // null value leaves a gap
+  renderChart(type, points, { max = null, format = String } = {}) {
+    const width = 600;
+    const height = 200;
+    const padding = { top: 10, right: 10, bottom: 24, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const values = points.map((point) => point.value).filter((v) => v !== null);
+
+    if (values.length === 0) {
+      return `<p class="chart-empty">No practice in this period yet.</p>`;
+    }
+
+    // Real zeros (a day of only wrong answers) still get an axis to sit on
+    const maxValue = max ?? (Math.max(...values) || 1);
+    const step = plotWidth / points.length;
+    const x = (index) => padding.left + step * index + step / 2;
+    const y = (value) => padding.top + plotHeight * (1 - value / maxValue);
+
+    const grid = [0, 0.5, 1]
+      .map((fraction) => {
+        const value = maxValue * fraction;
+        return `
+          <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" />
+          <text class="chart-axis" x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${Math.round(value)}</text>`;
+      })
+      .join("");
+
+    // Label roughly every fifth point so they don't overlap
+    const labelEvery = Math.ceil(points.length / 6);
+    const labels = points
+      .map((point, index) =>
+        (points.length - 1 - index) % labelEvery === 0
+          ? `<text class="chart-axis" x="${x(index)}" y="${height - 6}" text-anchor="middle">${this.escapeHtml(point.label)}</text>`
+          : "",
+      )
+      .join("");
+
+    let marks;
+    if (type === "bar") {
+      const barWidth = Math.max(2, step * 0.7);
+      // Zero bars get a sliver of height so they show up
+      const barHeight = (value) =>
+        Math.max(1, padding.top + plotHeight - y(value));
+      marks = points
+        .map((point, index) =>
+          point.value !== null
+            ? `<rect class="chart-bar" x="${x(index) - barWidth / 2}" y="${padding.top + plotHeight - barHeight(point.value)}" width="${barWidth}" height="${barHeight(point.value)}"><title>${this.escapeHtml(point.title)}: ${format(point.value)}</title></rect>`
+            : "",
+        )
+        .join("");
+    } else {
+      const plotted = points
+        .map((point, index) => ({ ...point, index }))
+        .filter((point) => point.value !== null);
+      const path = plotted
+        .map(
+          (point, i) => `${i === 0 ? "M" : "L"}${x(point.index)},${y(point.value)}`,
+        )
+        .join(" ");
+      marks = `<path class="chart-line" d="${path}" />${plotted
+        .map(
+          (point) =>
+            `<circle class="chart-point" cx="${x(point.index)}" cy="${y(point.value)}" r="3"><title>${this.escapeHtml(point.title)}: ${format(point.value)}</title></circle>`,
+        )
+        .join("")}`;
+    }
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${grid}${labels}${marks}</svg>`;
+  }
+
+  // GitHub-style calendar: one column per week for the last year, one cell
+  // per day shaded by how many questions were answered
+  renderHeatmap(days) {
+    const cell = 11;
+    const gap = 2;
+    const top = 16;
+    const left = 28;
+    const weeks = 53;
+
+    // Start on the Sunday 52 weeks before this week's Sunday
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - start.getDay() - (weeks - 1) * 7);
+
+    const today = this.getLocalDateKey(new Date());
+    const maxCount = Math.max(
+      1,
+      ...[...days.values()].map((activity) => activity.total),
+    );
+    const cells = [];
+    const months = [];
+    const date = new Date(start);
+
+    for (let week = 0; week < weeks; week++) {
+      for (let weekday = 0; weekday < 7; weekday++) {
+        const key = this.getLocalDateKey(date);
+        if (key > today) break;
+
+        if (date.getDate() === 1) {
+          months.push(
+            `<text class="chart-axis" x="${left + week * (cell + gap)}" y="10">${date.toLocaleDateString(undefined, { month: "short" })}</text>`,
+          );
+        }
+
+        const count = days.has(key) ? days.get(key).total : 0;
+        const level = count === 0 ? 0 : Math.ceil((count / maxCount) * 4);
+        cells.push(
+          `<rect class="heat-${level}" x="${left + week * (cell + gap)}" y="${top + weekday * (cell + gap)}" width="${cell}" height="${cell}" rx="2"><title>${date.toLocaleDateString()}: ${count} question${count === 1 ? "" : "s"}</title></rect>`,
+        );
+        date.setDate(date.getDate() + 1);
+      }
+    }
+
+    const weekdayLabels = [
+      [1, "Mon"],
+      [3, "Wed"],
+      [5, "Fri"],
+    ]
+      .map(
+        ([weekday, label]) =>
+          `<text class="chart-axis" x="0" y="${top + weekday * (cell + gap) + 9}">${label}</text>`,
+      )
+      .join("");
+
+    const width = left + weeks * (cell + gap);
+    const height = top + 7 * (cell + gap);
+    return `<svg class="heatmap" viewBox="0 0 ${width} ${height}" role="img">${months.join("")}${weekdayLabels}${cells.join("")}</svg>`;
+  }
+
+  async getWordCount(deckIds = null) {
+    const transaction = this.db.transaction(["words"], "readonly");
+    const store = transaction.objectStore("words");
+
+    if (!deckIds) {
+      return new Promise((resolve, reject) => {
+        const request = store.count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    const counts = await Promise.all(
+      deckIds.map(
+        (deckId) =>
+          new Promise((resolve, reject) => {
+            const request = store.index("deckId").count(deckId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          }),
+      ),
+    );
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  // With speakable, each option gets a button that reads it out
+  async createMultipleChoices(
+    correctWord,
+    answerType,
+    { speakable = false } = {},
+  ) {
+    const otherWords = await this.getChoiceDistractors(correctWord);
+
+    const optionsEl = document.getElementById("choice-options");
+    if (!optionsEl) {
+      console.error("choice-options element not found!");
+      return;
+    }
+
+    const options = [correctWord];
+
+    // Add 3 random incorrect options
+    this.shuffleArray(otherWords);
+    options.push(...otherWords.slice(0, 3));
+
+    // Shuffle all options
+    this.shuffleArray(options);
+
+    optionsEl.innerHTML = "";
+
+    options.forEach((word, index) => {
+      const optionBtn = document.createElement("button");
+      optionBtn.className = "btn choice-option";
+      optionBtn.textContent = word[answerType] || "N/A";
+      optionBtn.dataset.correct = word.id === correctWord.id;
+      optionBtn.addEventListener("click", () => {
+        document
+          .querySelectorAll(".choice-option")
+          .forEach((btn) => btn.classList.remove("selected"));
+        optionBtn.classList.add("selected");
+        // Auto-trigger check answer
+        setTimeout(async () => await this.checkAnswer(), 300);
+      });
+
+      if (!speakable) {
+        optionsEl.appendChild(optionBtn);
+        return;
+      }
+      const rowEl = document.createElement("div");
+      rowEl.className = "choice-row";
+      const speakBtn = document.createElement("button");
+      speakBtn.type = "button";
+      speakBtn.className = "choice-speak-btn";
+      speakBtn.textContent = "🔊";
+      speakBtn.title = "Read this option aloud";
+      speakBtn.addEventListener("click", () => {
+        this.speakWithEnhancedBrowserTTS(optionBtn.textContent);
+      });
+      rowEl.append(optionBtn, speakBtn);
+      optionsEl.appendChild(rowEl);
+    });
+
+    console.log(`Created ${options.length} choice options for ${answerType}`);
+  }
+
+  // Candidates for wrong options: the other words in the session, topped up
+  // from the session's decks when it has too few (retries, a few selected
+  // words)
+  async getChoiceDistractors(correctWord) {
+    const others = new Map();
+    const addWords = (words) =>
+      words.forEach((word) => {
+        if (word.id !== correctWord.id) others.set(word.id, word);
+      });
+
+    addWords(this.practiceWords);
+    if (others.size < 3) {
+      try {
+        if (!this.choiceDeckWords) {
+          const deckIds =
+            this.currentSession?.deckIds ||
+            this.practiceWords.map((word) => word.deckId);
+          this.choiceDeckWords = await this.getWordsInDecks([
+            ...new Set(deckIds),
+          ]);
+        }
+        addWords(this.choiceDeckWords);
+      } catch (error) {
+        // Fewer options beat none; the session's own words still work
+        console.error("Loading words for answer choices failed:", error);
+      }
+    }
+    return [...others.values()];
+  }
+
+  speakWord(rateScale = 1) {
+    const word = this.practiceWords[this.currentPracticeIndex];
+    if (!word.word) return;
+
+    // Use enhanced browser TTS with word-specific language detection
+    this.speakWithEnhancedBrowserTTS(word.word, rateScale);
+  }
+
+  // rateScale slows down (< 1) or speeds up the voice's optimal rate
+  speakWithEnhancedBrowserTTS(text, rateScale = 1) {
+    if (!this.speechSynthesis) return;
+
+    // Force voice loading if needed
+    if (this.speechSynthesis.getVoices().length === 0) {
+      this.speechSynthesis.getVoices(); // Trigger loading
+      setTimeout(() => this.speakWithEnhancedBrowserTTS(text, rateScale), 100);
+      return;
+    }
+
+    // Detect language of the specific text being spoken
+    const textLang = this.detectTextLanguage(text);
+    const voice = this.selectBestVoiceForLanguage(textLang);
+    console.log(
+      "🔊 Using Enhanced Browser TTS with voice:",
+      voice ? voice.name : "default",
+    );
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = this.getLanguageCode(textLang); // Use text-specific language
+
+    // Voice and language-specific optimized settings
+    const settings = this.getOptimalVoiceSettings(voice, textLang);
+    utterance.rate = settings.rate * rateScale;
+    utterance.pitch = settings.pitch;
+    utterance.volume = settings.volume;
+
+    // Enhanced voice selection
+    if (voice) {
+      utterance.voice = voice;
+      console.log("🎯 Voice details:", {
+        name: voice.name,
+        lang: voice.lang,
+        localService: voice.localService,
+        detectedTextLang: textLang,
+        quality: this.getVoiceQualityScore(voice, {
+          google: 9,
+          microsoft: 8,
+          apple: 9,
+          samsung: 7,
+          amazon: 8,
+        }),
+      });
+    }
+
+    // Add pronunciation improvements
+    utterance.text = this.preprocessTextForBetterPronunciation(text, textLang);
+
+    // Add audio processing hooks
+    utterance.onstart = () => {
+      this.applyAudioEnhancements();
+      console.log("🎵 Speaking:", utterance.text, "in", textLang);
+    };
+
+    utterance.onend = () => {
+      console.log("✅ Speech completed");
+    };
+
+    // Better error handling with retry
+    utterance.onerror = (event) => {
+      console.error(
+        "❌ Speech synthesis error:",
+        event,
+        "for text:",
+        text,
+        "lang:",
+        textLang,
+      );
+      // Try once more with default voice
+      if (voice) {
+        console.log("🔄 Retrying with default voice...");
+        setTimeout(() => {
+          const retryUtterance = new SpeechSynthesisUtterance(text);
+          retryUtterance.lang = utterance.lang;
+          retryUtterance.rate = utterance.rate;
+          retryUtterance.pitch = utterance.pitch;
+          retryUtterance.volume = utterance.volume;
+          this.speechSynthesis.speak(retryUtterance);
+        }, 100);
+      }
+    };
+
+    // Cancel any ongoing speech first
+    this.speechSynthesis.cancel();
+
+    // Small delay to ensure cancellation is processed
+    setTimeout(() => {
+      this.speechSynthesis.speak(utterance);
+    }, 50);
+  }
+
+  detectTextLanguage(text) {
+    // First check if this exact text appears in our vocabulary database
+    const contextLang = this.getLanguageFromVocabularyContext(text);
+    if (contextLang) {
+      console.log(
+        '🎯 Language from vocabulary context for "' +
+          text +
+          '": ' +
+          contextLang,
+      );
+      return contextLang;
+    }
+
+    // Count characters for each language in the specific text
+    const scores = {
+      ja: this.countJapaneseChars(text),
+      zh: this.countChineseChars(text),
+      ko: this.countKoreanChars(text),
+      en: this.countEnglishChars(text),
+      es: this.countSpanishChars(text),
+      fr: this.countFrenchChars(text),
+      de: this.countGermanChars(text),
+    };
+
+    // Special handling for ambiguous cases (kanji/hanzi that exist in both Japanese and Chinese)
+    if (scores.ja > 0 && scores.zh > 0) {
+      // Use overall vocabulary language bias for ambiguous characters
+      const vocabLang = this.detectedLanguage;
+      if (vocabLang === "ja" || vocabLang === "zh") {
+        console.log(
+          '🔍 Ambiguous text "' +
+            text +
+            '" using vocabulary bias: ' +
+            vocabLang,
+        );
+        return vocabLang;
+      }
+
+      // If no clear bias, check for Japanese-specific indicators
+      if (this.hasJapaneseIndicators(text)) {
+        console.log('🔍 Japanese indicators found in "' + text + '"');
+        return "ja";
+      }
+    }
+
+    // Find the language with highest score
+    const detectedLang = Object.keys(scores).reduce((a, b) =>
+      scores[a] > scores[b] ? a : b,
+    );
+
+    console.log(
+      '🔍 Text language detection for "' + text + '":',
+      scores,
+      "→",
+      detectedLang,
+    );
+    return detectedLang;
+  }
+
+  getLanguageFromVocabularyContext(text) {
+    // Check if this text appears in our vocabulary and what language context it's in
+    if (!this.practiceWords) return null;
+
+    for (const word of this.practiceWords) {
+      if (word.word === text) {
+        // Found the word, analyze its translation to infer language
+        const translation = word.translation.toLowerCase();
+
+        // Japanese vocabulary often has English translations
+        if (/^[a-z\s,]+$/.test(translation)) {
+          // Translation is English, so the word is likely Japanese
+          return "ja";
+        }
+
+        // Check if translation contains Chinese characters
+        if (
+          this.countChineseChars(word.translation) > 0 &&
+          this.countJapaneseChars(word.translation) === 0
+        ) {
+          return "zh";
+        }
+
+        // Check if translation contains Japanese characters
+        if (this.countJapaneseChars(word.translation) > 0) {
+          return "ja";
+        }
+
+        break;
+      }
+
+      if (word.translation === text) {
+        // Text is the translation, analyze the word to infer language
+        if (
+          this.countJapaneseChars(word.word) > this.countChineseChars(word.word)
+        ) {
+          return "ja";
+        }
+        if (
+          this.countChineseChars(word.word) > 0 &&
+          this.countJapaneseChars(word.word) === 0
+        ) {
+          return "zh";
+        }
+        break;
+      }
+    }
+
+    return null;
+  }
+
+  hasJapaneseIndicators(text) {
+    // Look for indicators that suggest Japanese rather than Chinese
+    // Japanese often uses certain readings or combinations
+    const japaneseIndicators = [
+      /[\u3040-\u309F]/, // Contains hiragana
+      /[\u30A0-\u30FF]/, // Contains katakana
+      /[々]/, // Iteration mark more common in Japanese
+    ];
+
+    return japaneseIndicators.some((pattern) => pattern.test(text));
+  }
+
+  selectBestVoiceForLanguage(lang) {
+    const voices = this.speechSynthesis.getVoices();
+
+    // Enhanced quality ranking for voices
+    const voiceQuality = {
+      google: 9,
+      microsoft: 8,
+      apple: 9,
+      samsung: 7,
+      amazon: 8,
+      nuance: 8,
+      cereproc: 7,
+      espeak: 3,
+    };
+
+    // Language-specific preferred voice names
     const preferredNamesByLang = {
       ja: [
         "kyoko",
@@ -1738,371 +4866,1473 @@ class VocabularyApp {
       de: ["anna", "yannick", "german female", "german male"],
     };
 
-    // Get language codes to search for
-    const langCodes = this.getLanguageCodes(lang);
+    // Get language codes to search for
+    const langCodes = this.getLanguageCodes(lang);
+
+    // Find voices for the specific language
+    const targetLanguageVoices = voices.filter((voice) =>
+      langCodes.some(
+        (code) => voice.lang === code || voice.lang.startsWith(code),
+      ),
+    );
+
+    if (targetLanguageVoices.length === 0) {
+      console.warn("❌ No voices found for language:", lang, "using default");
+      return null;
+    }
+
+    const preferredNames = preferredNamesByLang[lang] || [];
+
+    // Sort by quality score and preferred names
+    targetLanguageVoices.sort((a, b) => {
+      // First priority: Quality score (Google should win here)
+      const scoreA = this.getVoiceQualityScore(a, voiceQuality);
+      const scoreB = this.getVoiceQualityScore(b, voiceQuality);
+
+      if (scoreA !== scoreB) {
+        return scoreB - scoreA;
+      }
+
+      // Second priority: Preferred names
+      const nameScoreA = this.getNamePreferenceScore(a.name, preferredNames);
+      const nameScoreB = this.getNamePreferenceScore(b.name, preferredNames);
+
+      if (nameScoreA !== nameScoreB) {
+        return nameScoreB - nameScoreA;
+      }
+
+      // Third priority: For same quality, prefer local for reliability
+      if (a.localService !== b.localService) {
+        return a.localService ? 1 : -1;
+      }
+
+      return 0;
+    });
+
+    // Debug logging to see all voice scores
+    const voiceDetails = targetLanguageVoices.slice(0, 3).map((voice) => ({
+      name: voice.name,
+      localService: voice.localService,
+      qualityScore: this.getVoiceQualityScore(voice, voiceQuality),
+      nameScore: this.getNamePreferenceScore(voice.name, preferredNames),
+    }));
+
+    console.log("🗣️ Voice selection details:", voiceDetails);
+    console.log(
+      "🗣️ Selected voice:",
+      targetLanguageVoices[0].name,
+      "for language:",
+      lang,
+    );
+    return targetLanguageVoices[0];
+  }
+
+  getLanguageCode(lang) {
+    const langMap = {
+      ja: "ja-JP",
+      en: "en-US",
+      zh: "zh-CN",
+      ko: "ko-KR",
+      es: "es-ES",
+      fr: "fr-FR",
+      de: "de-DE",
+    };
+
+    return langMap[lang] || "ja-JP";
+  }
+
+  getOptimalVoiceSettings(voice, lang) {
+    // Base settings per language
+    const baseSettings = {
+      ja: { rate: 0.4, pitch: 0.8, volume: 1.0 },
+      en: { rate: 0.5, pitch: 0.9, volume: 1.0 },
+      zh: { rate: 0.4, pitch: 0.85, volume: 1.0 },
+      ko: { rate: 0.45, pitch: 0.85, volume: 1.0 },
+      es: { rate: 0.5, pitch: 0.9, volume: 1.0 },
+      fr: { rate: 0.5, pitch: 0.9, volume: 1.0 },
+      de: { rate: 0.45, pitch: 0.85, volume: 1.0 },
+    };
+
+    let settings = { ...(baseSettings[lang] || baseSettings["ja"]) };
+
+    // Adjust based on voice type
+    if (voice) {
+      const voiceName = voice.name.toLowerCase();
+      const isGoogleVoice =
+        voiceName.includes("google") || voiceName.includes("日本語");
+      const isMicrosoftVoice =
+        voiceName.includes("microsoft") ||
+        ["haruka", "sayaka"].some((name) => voiceName.includes(name));
+      const isAppleVoice =
+        voice.localService &&
+        (voiceName.includes("kyoko") ||
+          voiceName.includes("alex") ||
+          voiceName.includes("samantha"));
+
+      if (isGoogleVoice) {
+        // Google voices are high quality and can handle faster speeds
+        settings.rate = Math.min(settings.rate * 1.8, 0.8); // Increase rate by 80%
+        settings.pitch = Math.max(settings.pitch, 0.85); // Slightly higher pitch sounds more natural
+        console.log(
+          "🎯 Using Google voice optimization: rate =",
+          settings.rate,
+        );
+      } else if (isMicrosoftVoice) {
+        // Microsoft voices can handle moderate increase
+        settings.rate = Math.min(settings.rate * 1.4, 0.7);
+        console.log(
+          "🎯 Using Microsoft voice optimization: rate =",
+          settings.rate,
+        );
+      } else if (isAppleVoice) {
+        // Apple voices (like Kyoko) can handle slight increase
+        settings.rate = Math.min(settings.rate * 1.2, 0.6);
+        console.log("🎯 Using Apple voice optimization: rate =", settings.rate);
+      } else {
+        // Generic/unknown voices - keep conservative settings
+        console.log(
+          "🎯 Using conservative voice settings: rate =",
+          settings.rate,
+        );
+      }
+    }
+
+    return settings;
+  }
+
+  // Keep for backward compatibility
+  getLanguageSpecificSettings(lang) {
+    return this.getOptimalVoiceSettings(null, lang);
+  }
+
+  applyAudioEnhancements() {
+    // Resume audio context if suspended (required by some browsers)
+    if (this.audioContext && this.audioContext.state === "suspended") {
+      this.audioContext.resume();
+    }
+
+    // Note: Direct Web Audio processing of speechSynthesis is limited
+    // This is more about preparing the audio context and ensuring optimal playback
+    // For real-time processing, we'd need to capture the audio stream
+  }
+
+  getLanguageCodes(lang) {
+    const langMap = {
+      ja: ["ja-JP", "ja"],
+      en: ["en-US", "en-GB", "en"],
+      zh: ["zh-CN", "zh-TW", "zh"],
+      ko: ["ko-KR", "ko"],
+      es: ["es-ES", "es-MX", "es"],
+      fr: ["fr-FR", "fr-CA", "fr"],
+      de: ["de-DE", "de"],
+    };
+
+    return langMap[lang] || ["ja-JP", "ja"];
+  }
+
+  getNamePreferenceScore(voiceName, preferredNames) {
+    const name = voiceName.toLowerCase();
+    for (let i = 0; i < preferredNames.length; i++) {
+      if (name.includes(preferredNames[i])) {
+        return preferredNames.length - i;
+      }
+    }
+    return 0;
+  }
+
+  getVoiceQualityScore(voice, qualityMap) {
+    const name = voice.name.toLowerCase();
+
+    // Check for explicit provider matches first
+    for (const [provider, score] of Object.entries(qualityMap)) {
+      if (name.includes(provider)) {
+        return score;
+      }
+    }
+
+    // Special handling for Google voices that might not have "google" in the name
+    if (
+      name.includes("google") ||
+      name.includes("日本語") ||
+      (!voice.localService &&
+        (name.includes("neural") || name.includes("premium")))
+    ) {
+      return 9; // High quality for Google/premium voices
+    }
+
+    // Default scoring based on local vs network
+    return voice.localService ? 6 : 5;
+  }
+
+  preprocessTextForBetterPronunciation(text, lang = "ja") {
+    let processed = text;
+
+    if (lang === "ja") {
+      // Japanese-specific preprocessing
+      processed = processed.replace(/([。、])/g, "$1 ");
+
+      // Add subtle breaks for long compound words (4+ characters)
+      if (processed.length >= 4) {
+        processed = processed.replace(
+          /([あ-ん])(る|す|ます|した|して)/,
+          "$1 $2",
+        );
+      }
+
+      // Handle special Japanese pronunciation cases
+      const jpPronunciationMap = {
+        ー: "", // Remove long vowel marks that might confuse TTS
+      };
+
+      for (const [original, replacement] of Object.entries(
+        jpPronunciationMap,
+      )) {
+        processed = processed.replace(new RegExp(original, "g"), replacement);
+      }
+    } else if (lang === "en") {
+      // English-specific preprocessing
+      // Add commas for natural pauses in long sentences
+      if (processed.length > 20) {
+        processed = processed.replace(/\b(and|or|but|so)\b/g, ", $1");
+      }
+    } else if (lang === "zh") {
+      // Chinese-specific preprocessing
+      processed = processed.replace(/([，。！？])/g, "$1 ");
+    } else if (lang === "es" || lang === "fr") {
+      // Romance language preprocessing
+      processed = processed.replace(/([,.!?])/g, "$1 ");
+    }
+
+    // Universal improvements
+    processed = processed.replace(/\s+/g, " ").trim(); // Clean up extra spaces
+
+    return processed;
+  }
+
+  startListening() {
+    if (this.speechRecognition && !this.isListening) {
+      this.isListening = true;
+      document.getElementById("start-listening-btn").style.display = "none";
+      document.getElementById("stop-listening-btn").style.display =
+        "inline-block";
+      this.speechRecognition.start();
+    }
+  }
+
+  stopListening() {
+    if (this.speechRecognition && this.isListening) {
+      this.isListening = false;
+      document.getElementById("start-listening-btn").style.display =
+        "inline-block";
+      document.getElementById("stop-listening-btn").style.display = "none";
+      this.speechRecognition.stop();
+    }
+  }
+
+  // A miss of the word in a direction; mode is left out for words marked
+  // wrong by hand
+  createWrongWordRecord(
+    word,
+    { mode, direction = this.getModeDirection(mode) } = {},
+  ) {
+    return {
+      wordId: word.id,
+      deckId: word.deckId,
+      word: word.word,
+      translation: word.translation,
+      ...(mode && { mode }),
+      direction,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async addWrongWord(word, mode) {
+    const wrongWord = this.createWrongWordRecord(word, { mode });
+
+    const transaction = this.db.transaction(
+      ["words", "wrongWords"],
+      "readwrite",
+    );
+    const store = transaction.objectStore("wrongWords");
+
+    await new Promise((resolve, reject) => {
+      const request = store.add(wrongWord);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+    await this.resetDirectionStreaks(
+      transaction.objectStore("words"),
+      word.id,
+      wrongWord.direction,
+    );
+  }
+
+  // A new miss starts the word's run of correct answers over, so it only
+  // graduates on answers given after the miss. Without a direction the miss
+  // applies to both.
+  async resetDirectionStreaks(store, wordId, direction = null) {
+    if (wordId === undefined) return;
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(wordId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (!record || !record.performance?.directionStreaks) return;
+
+    record.performance = {
+      ...record.performance,
+      directionStreaks: direction
+        ? { ...record.performance.directionStreaks, [direction]: 0 }
+        : {},
+    };
+    await new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Misses recorded before directions were tracked match either direction
+  async getWrongWords(deckIds = null, direction = null) {
+    const transaction = this.db.transaction(["wrongWords"], "readonly");
+    const store = transaction.objectStore("wrongWords");
+
+    const wrongWords = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Remove duplicates by wordId, keeping the most recent
+    const uniqueWrongWords = [];
+    const seen = new Set();
+
+    wrongWords.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    for (const wrongWord of wrongWords) {
+      if (deckIds && !deckIds.includes(wrongWord.deckId)) continue;
+      if (wrongWord.graduatedAt) continue;
+      if (direction && wrongWord.direction && wrongWord.direction !== direction)
+        continue;
+      if (!seen.has(wrongWord.wordId)) {
+        seen.add(wrongWord.wordId);
+        uniqueWrongWords.push(wrongWord);
+      }
+    }
+
+    return uniqueWrongWords;
+  }
+
+  // SM-2 scheduling: quality is 0-5, anything below 3 counts as a lapse
+  scheduleReview(srs, quality) {
+    const next = {
+      interval: 0,
+      ease: 2.5,
+      repetitions: 0,
+      ...srs,
+    };
+
+    if (quality < 3) {
+      next.repetitions = 0;
+      next.interval = 1;
+    } else {
+      if (next.repetitions === 0) {
+        next.interval = 1;
+      } else if (next.repetitions === 1) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(next.interval * next.ease);
+      }
+      next.repetitions++;
+    }
+
+    next.ease = Math.max(
+      1.3,
+      next.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+    );
+
+    // Due dates fall on local midnight so a word is due for the whole day
+    const dueDate = new Date();
+    dueDate.setHours(0, 0, 0, 0);
+    dueDate.setDate(dueDate.getDate() + next.interval);
+
+    next.dueDate = dueDate.toISOString();
+    next.lastReviewed = new Date().toISOString();
+    return next;
+  }
+
+  // Per-word practice record: attempts, correct answers, the current run of
+  // correct answers and the time spent answering
+  updatePerformance(performance, isCorrect, responseTime, mode) {
+    const next = {
+      attempts: 0,
+      correct: 0,
+      streak: 0,
+      totalResponseTime: 0,
+      ...performance,
+    };
+    // Separate runs per direction decide when a wrong word graduates
+    const direction = this.getModeDirection(mode);
+    next.directionStreaks = { ...next.directionStreaks };
+
+    next.attempts++;
+    if (isCorrect) {
+      next.correct++;
+      next.streak++;
+      next.directionStreaks[direction] =
+        (next.directionStreaks[direction] || 0) + 1;
+    } else {
+      next.streak = 0;
+      next.directionStreaks[direction] = 0;
+    }
+    // Cap each answer so a question left open doesn't skew the average
+    next.totalResponseTime += Math.min(responseTime, 60000);
+    next.lastPracticed = new Date().toISOString();
+    return next;
+  }
+
+  // Only answers to new or due words are reviews. Answering a word that isn't
+  // due yet (practicing all words, learning steps, retries) is a learning
+  // step that leaves the schedule alone, except that the first miss of the
+  // day still counts as a lapse.
+  isReviewAnswer(srs, isCorrect) {
+    if (!srs || srs.dueDate <= new Date().toISOString()) return true;
+    if (isCorrect) return false;
+    return (
+      this.getLocalDateKey(new Date(srs.lastReviewed)) !==
+      this.getLocalDateKey(new Date())
+    );
+  }
+
+  // Updates the word's schedule and practice record; resolves with the saved
+  // record, or null if the word no longer exists
+  async recordReview(word, isCorrect, responseTime = 0, mode = "guess") {
+    if (word.id === undefined) return null;
+
+    const transaction = this.db.transaction(["words"], "readwrite");
+    const store = transaction.objectStore("words");
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(word.id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // The word may have been deleted while it was being practiced
+    if (!record) return null;
+
+    if (this.isReviewAnswer(record.srs, isCorrect)) {
+      record.srs = {
+        ...this.scheduleReview(record.srs, isCorrect ? 4 : 1),
+        introducedAt: record.srs?.introducedAt || new Date().toISOString(),
+      };
+    }
+    record.performance = this.updatePerformance(
+      record.performance,
+      isCorrect,
+      responseTime,
+      mode,
+    );
+
+    await new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+    return record;
+  }
+
+  getGraduationStreak() {
+    return (
+      Number(localStorage.getItem("vocabulary-practice-graduation-streak")) ||
+      3
+    );
+  }
+
+  // Marks the word's active misses in this direction (and older misses with
+  // no direction) as graduated. The records stay, so the miss count and
+  // history survive; resolves true if anything graduated.
+  async graduateWrongWord(wordId, direction) {
+    const transaction = this.db.transaction(["wrongWords"], "readwrite");
+    const index = transaction.objectStore("wrongWords").index("wordId");
+    const graduatedAt = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      let graduated = false;
+      const request = index.openCursor(wordId);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(graduated);
+          return;
+        }
+        const wrongWord = cursor.value;
+        if (
+          !wrongWord.graduatedAt &&
+          (!wrongWord.direction || wrongWord.direction === direction)
+        ) {
+          cursor.update({ ...wrongWord, graduatedAt });
+          graduated = true;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    // Find voices for the specific language
-    const targetLanguageVoices = voices.filter((voice) =>
-      langCodes.some(
-        (code) => voice.lang === code || voice.lang.startsWith(code),
-      ),
+  // Words due today, followed by as many new words as are left of today's
+  // newWordsPerDay allowance
+  async getDueWords(shuffle = false, deckIds = null) {
+    const allWords = await this.getWordsInDecks(
+      deckIds || this.decks.map((deck) => deck.id),
     );
 
-    if (targetLanguageVoices.length === 0) {
-      console.warn("❌ No voices found for language:", lang, "using default");
-      return null;
+    const now = new Date().toISOString();
+    const today = this.getLocalDateKey(new Date());
+    const dueWords = allWords
+      .filter((word) => word.srs && word.srs.dueDate <= now)
+      .sort((a, b) => a.srs.dueDate.localeCompare(b.srs.dueDate));
+    const newWords = allWords.filter((word) => !word.srs);
+    const introducedToday = allWords.filter(
+      (word) =>
+        word.srs?.introducedAt &&
+        this.getLocalDateKey(new Date(word.srs.introducedAt)) === today,
+    ).length;
+
+    if (shuffle) {
+      this.shuffleArray(newWords);
     }
 
-    const preferredNames = preferredNamesByLang[lang] || [];
+    // Reviews come first so a limited session never skips overdue words
+    return [
+      ...dueWords,
+      ...newWords.slice(0, Math.max(0, this.newWordsPerDay - introducedToday)),
+    ];
+  }
 
-    // Sort by quality score and preferred names
-    targetLanguageVoices.sort((a, b) => {
-      // First priority: Quality score (Google should win here)
-      const scoreA = this.getVoiceQualityScore(a, voiceQuality);
-      const scoreB = this.getVoiceQualityScore(b, voiceQuality);
+  // Counted the same way "Due for Review" picks its words
+  async getDueWordsCount(deckIds = null) {
+    const dueWords = await this.getDueWords(false, deckIds);
+    return dueWords.length;
+  }
 
-      if (scoreA !== scoreB) {
-        return scoreB - scoreA;
-      }
+  // One entry per missed word with how often and when it was missed,
+  // including misses that have since graduated
+  async getWrongWordSummaries(deckIds = null) {
+    const transaction = this.db.transaction(["wrongWords"], "readonly");
+    const store = transaction.objectStore("wrongWords");
 
-      // Second priority: Preferred names
-      const nameScoreA = this.getNamePreferenceScore(a.name, preferredNames);
-      const nameScoreB = this.getNamePreferenceScore(b.name, preferredNames);
+    const wrongWords = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
 
-      if (nameScoreA !== nameScoreB) {
-        return nameScoreB - nameScoreA;
-      }
+    const summaries = new Map();
+    wrongWords.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-      // Third priority: For same quality, prefer local for reliability
-      if (a.localService !== b.localService) {
-        return a.localService ? 1 : -1;
+    for (const wrongWord of wrongWords) {
+      if (deckIds && !deckIds.includes(wrongWord.deckId)) continue;
+
+      const summary = summaries.get(wrongWord.wordId);
+      if (summary) {
+        summary.missCount++;
+        summary.firstMissed = wrongWord.timestamp;
+        summary.graduated = summary.graduated && !!wrongWord.graduatedAt;
+        if (wrongWord.mode && !summary.modes.includes(wrongWord.mode)) {
+          summary.modes.push(wrongWord.mode);
+        }
+      } else {
+        // Newest record first, so it holds the latest word and translation
+        summaries.set(wrongWord.wordId, {
+          wordId: wrongWord.wordId,
+          deckId: wrongWord.deckId,
+          word: wrongWord.word,
+          translation: wrongWord.translation,
+          missCount: 1,
+          firstMissed: wrongWord.timestamp,
+          lastMissed: wrongWord.timestamp,
+          // Only true once every miss of the word has graduated
+          graduated: !!wrongWord.graduatedAt,
+          // Misses recorded before modes were tracked have none
+          modes: wrongWord.mode ? [wrongWord.mode] : [],
+        });
       }
+    }
 
-      return 0;
-    });
+    return [...summaries.values()];
+  }
 
-    // Debug logging to see all voice scores
-    const voiceDetails = targetLanguageVoices.slice(0, 3).map((voice) => ({
-      name: voice.name,
-      localService: voice.localService,
-      qualityScore: this.getVoiceQualityScore(voice, voiceQuality),
-      nameScore: this.getNamePreferenceScore(voice.name, preferredNames),
-    }));
+  async getWrongWordsCount(deckIds = null) {
+    const wrongWords = await this.getWrongWords(deckIds);
+    return wrongWords.length;
+  }
 
-    console.log("🗣️ Voice selection details:", voiceDetails);
-    console.log(
-      "🗣️ Selected voice:",
-      targetLanguageVoices[0].name,
-      "for language:",
-      lang,
+  async clearWrongWords() {
+    if (!confirm("Are you sure you want to clear all wrong words?")) return;
+
+    await this.moveToTrash(
+      ["wrongWords"],
+      "Cleared all wrong words",
+      async (transaction) => ({
+        wrongWords: await this.takeAll(transaction.objectStore("wrongWords")),
+      }),
     );
-    return targetLanguageVoices[0];
+
+    this.updateStats();
   }
 
-  getLanguageCode(lang) {
-    const langMap = {
-      ja: "ja-JP",
-      en: "en-US",
-      zh: "zh-CN",
-      ko: "ko-KR",
-      es: "es-ES",
-      fr: "fr-FR",
-      de: "de-DE",
-    };
+  async loadWrongWordReview() {
+    const statsDeck = document.getElementById("stats-deck").value;
+    const deckIds = statsDeck === "all" ? null : [Number(statsDeck)];
+    const showGraduated = document.getElementById(
+      "wrong-show-graduated",
+    ).checked;
+    const sort = document.getElementById("wrong-word-sort").value;
 
-    return langMap[lang] || "ja-JP";
+    const summaries = (await this.getWrongWordSummaries(deckIds)).filter(
+      (summary) => showGraduated || !summary.graduated,
+    );
+    switch (sort) {
+      case "recent":
+        summaries.sort((a, b) => b.lastMissed.localeCompare(a.lastMissed));
+        break;
+      case "oldest":
+        summaries.sort((a, b) => a.firstMissed.localeCompare(b.firstMissed));
+        break;
+      case "alphabetical":
+        summaries.sort((a, b) => a.word.localeCompare(b.word));
+        break;
+      case "missed":
+      default:
+        summaries.sort(
+          (a, b) =>
+            b.missCount - a.missCount ||
+            b.lastMissed.localeCompare(a.lastMissed),
+        );
+    }
+
+    // Drop selections that are no longer listed
+    const listedIds = new Set(summaries.map((summary) => summary.wordId));
+    for (const id of this.selectedWrongWordIds) {
+      if (!listedIds.has(id)) this.selectedWrongWordIds.delete(id);
+    }
+    this.wrongWordReviewItems = summaries;
+
+    this.renderWrongWordReview(summaries);
+    this.updateWrongWordSelection();
   }
 
-  getOptimalVoiceSettings(voice, lang) {
-    // Base settings per language
-    const baseSettings = {
-      ja: { rate: 0.4, pitch: 0.8, volume: 1.0 },
-      en: { rate: 0.5, pitch: 0.9, volume: 1.0 },
-      zh: { rate: 0.4, pitch: 0.85, volume: 1.0 },
-      ko: { rate: 0.45, pitch: 0.85, volume: 1.0 },
-      es: { rate: 0.5, pitch: 0.9, volume: 1.0 },
-      fr: { rate: 0.5, pitch: 0.9, volume: 1.0 },
-      de: { rate: 0.45, pitch: 0.85, volume: 1.0 },
-    };
+  renderWrongWordReview(summaries) {
+    const listEl = document.getElementById("wrong-word-list");
 
-    let settings = { ...(baseSettings[lang] || baseSettings["ja"]) };
+    if (summaries.length === 0) {
+      listEl.innerHTML = `<p class="session-history-empty">No wrong words. Well done!</p>`;
+      return;
+    }
 
-    // Adjust based on voice type
-    if (voice) {
-      const voiceName = voice.name.toLowerCase();
-      const isGoogleVoice =
-        voiceName.includes("google") || voiceName.includes("日本語");
-      const isMicrosoftVoice =
-        voiceName.includes("microsoft") ||
-        ["haruka", "sayaka"].some((name) => voiceName.includes(name));
-      const isAppleVoice =
-        voice.localService &&
-        (voiceName.includes("kyoko") ||
-          voiceName.includes("alex") ||
-          voiceName.includes("samantha"));
+    listEl.innerHTML = summaries
+      .map((summary) => {
+        const modes = summary.modes
+          .map((mode) => this.escapeHtml(this.getPracticeModeLabel(mode)))
+          .join(", ");
+        return `
+                <div class="wrong-word-item${summary.graduated ? " graduated" : ""}">
+                    <input type="checkbox" class="word-select" aria-label="Select ${this.escapeHtml(summary.word)}"
+                        ${this.selectedWrongWordIds.has(summary.wordId) ? "checked" : ""}
+                        onchange="app.toggleWrongWordSelection(${summary.wordId}, this.checked)">
+                    <div class="wrong-word-content">
+                        <strong>${this.escapeHtml(summary.word)}</strong> - ${this.escapeHtml(summary.translation)}
+                        ${summary.graduated ? `<span class="graduated-badge">🎓 Graduated</span>` : ""}
+                        <div class="wrong-word-meta">
+                            ${this.escapeHtml(this.getDeckName(summary.deckId))} ·
+                            first missed ${new Date(summary.firstMissed).toLocaleString()} ·
+                            last missed ${new Date(summary.lastMissed).toLocaleString()}
+                        </div>
+                        ${modes ? `<div class="wrong-word-meta">Missed in: ${modes}</div>` : ""}
+                    </div>
+                    <span class="wrong-word-count" title="Times missed">${summary.missCount}×</span>
+                    <div class="word-actions">
+                        <button class="delete-btn" onclick="app.removeWrongWord(${summary.wordId})">Remove</button>
+                    </div>
+                </div>
+            `;
+      })
+      .join("");
+  }
 
-      if (isGoogleVoice) {
-        // Google voices are high quality and can handle faster speeds
-        settings.rate = Math.min(settings.rate * 1.8, 0.8); // Increase rate by 80%
-        settings.pitch = Math.max(settings.pitch, 0.85); // Slightly higher pitch sounds more natural
-        console.log(
-          "🎯 Using Google voice optimization: rate =",
-          settings.rate,
-        );
-      } else if (isMicrosoftVoice) {
-        // Microsoft voices can handle moderate increase
-        settings.rate = Math.min(settings.rate * 1.4, 0.7);
-        console.log(
-          "🎯 Using Microsoft voice optimization: rate =",
-          settings.rate,
-        );
-      } else if (isAppleVoice) {
-        // Apple voices (like Kyoko) can handle slight increase
-        settings.rate = Math.min(settings.rate * 1.2, 0.6);
-        console.log("🎯 Using Apple voice optimization: rate =", settings.rate);
-      } else {
-        // Generic/unknown voices - keep conservative settings
-        console.log(
-          "🎯 Using conservative voice settings: rate =",
-          settings.rate,
-        );
-      }
+  toggleWrongWordSelection(wordId, selected) {
+    if (selected) {
+      this.selectedWrongWordIds.add(wordId);
+    } else {
+      this.selectedWrongWordIds.delete(wordId);
     }
+    this.updateWrongWordSelection();
+  }
 
-    return settings;
+  // With nothing selected the button practices every listed word
+  updateWrongWordSelection() {
+    const button = document.getElementById("practice-wrong-selection-btn");
+    const count = this.selectedWrongWordIds.size;
+    button.textContent = count
+      ? `Practice ${count} Selected`
+      : "Practice All Listed";
+    button.disabled = this.wrongWordReviewItems.length === 0;
   }
 
-  // Keep for backward compatibility
-  getLanguageSpecificSettings(lang) {
-    return this.getOptimalVoiceSettings(null, lang);
+  async practiceWrongWordSelection() {
+    const ids = this.wrongWordReviewItems
+      .map((summary) => summary.wordId)
+      .filter(
+        (id) =>
+          this.selectedWrongWordIds.size === 0 ||
+          this.selectedWrongWordIds.has(id),
+      );
+    const words = (await this.getWordsByIds(ids)).filter(Boolean);
+    if (words.length === 0) return;
+
+    const deckIds = [...new Set(words.map((word) => word.deckId))];
+    this.selectedWrongWordIds.clear();
+    this.showSection("practice");
+    await this.startPracticeWithWords(words, "wrong", deckIds, {
+      useSessionLength: false,
+    });
   }
 
-  applyAudioEnhancements() {
-    // Resume audio context if suspended (required by some browsers)
-    if (this.audioContext && this.audioContext.state === "suspended") {
-      this.audioContext.resume();
-    }
+  async removeWrongWord(wordId) {
+    const summary = this.wrongWordReviewItems.find(
+      (summary) => summary.wordId === wordId,
+    );
+    const description = summary
+      ? `Removed "${summary.word}" from the wrong words`
+      : "Removed a wrong word";
+
+    await this.moveToTrash(
+      ["wrongWords"],
+      description,
+      async (transaction) => ({
+        wrongWords: await this.takeByIndex(
+          transaction.objectStore("wrongWords"),
+          "wordId",
+          wordId,
+        ),
+      }),
+    );
 
-    // Note: Direct Web Audio processing of speechSynthesis is limited
-    // This is more about preparing the audio context and ensuring optimal playback
-    // For real-time processing, we'd need to capture the audio stream
+    this.updateStats();
   }
 
-  getLanguageCodes(lang) {
-    const langMap = {
-      ja: ["ja-JP", "ja"],
-      en: ["en-US", "en-GB", "en"],
-      zh: ["zh-CN", "zh-TW", "zh"],
-      ko: ["ko-KR", "ko"],
-      es: ["es-ES", "es-MX", "es"],
-      fr: ["fr-FR", "fr-CA", "fr"],
-      de: ["de-DE", "de"],
+  async clearAllStats() {
+    if (
+      !confirm(
+        "Are you sure you want to clear all statistics? This will reset your practice history, session log and wrong words.",
+      )
+    )
+      return;
+
+    await this.moveToTrash(
+      ["stats", "wrongWords", "sessions"],
+      "Cleared all statistics",
+      async (transaction) => ({
+        stats: await this.takeAll(transaction.objectStore("stats")),
+        wrongWords: await this.takeAll(transaction.objectStore("wrongWords")),
+        sessions: await this.takeAll(transaction.objectStore("sessions")),
+      }),
+    );
+
+    // Reset in-memory stats
+    this.practiceStats = {
+      sessions: 0,
+      correct: 0,
+      total: 0,
+      decks: {},
     };
 
-    return langMap[lang] || ["ja-JP", "ja"];
+    this.updateStats();
   }
 
-  getNamePreferenceScore(voiceName, preferredNames) {
-    const name = voiceName.toLowerCase();
-    for (let i = 0; i < preferredNames.length; i++) {
-      if (name.includes(preferredNames[i])) {
-        return preferredNames.length - i;
+  // Runs remove() in a transaction that also writes the trash entry, so data
+  // is never lost between the two. remove() deletes the records and resolves
+  // with them grouped by store name.
+  async moveToTrash(storeNames, description, remove) {
+    const transaction = this.db.transaction(
+      [...storeNames, "trash"],
+      "readwrite",
+    );
+    const records = await remove(transaction);
+
+    const trashId = await new Promise((resolve, reject) => {
+      const request = transaction.objectStore("trash").add({
+        description,
+        deletedAt: new Date().toISOString(),
+        records,
+      });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    await this.waitForTransaction(transaction);
+
+    this.showUndoToast(description, trashId);
+    return trashId;
+  }
+
+  // Puts a trash entry's records back and returns how many words were left
+  // out because the same word has been added to their deck again since
+  async restoreFromTrash(trashId) {
+    const storeNames = [
+      "decks",
+      "words",
+      "wrongWords",
+      "stats",
+      "sessions",
+      "trash",
+    ];
+    const transaction = this.db.transaction(storeNames, "readwrite");
+    const getAll = (storeName) =>
+      new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    const put = (storeName, record) =>
+      new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName).put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+
+    const entry = await this.takeRecord(
+      transaction.objectStore("trash"),
+      trashId,
+    );
+    if (!entry) return 0;
+    const {
+      decks = [],
+      words = [],
+      wrongWords = [],
+      stats = [],
+      sessions = [],
+    } = entry.records;
+
+    // Records keep their ids, so links between stores still line up
+    const existingDecks = await getAll("decks");
+    for (const deck of decks) {
+      const nameTaken = existingDecks.some(
+        (d) => d.name.toLowerCase() === deck.name.toLowerCase(),
+      );
+      await put(
+        "decks",
+        nameTaken ? { ...deck, name: `${deck.name} (restored)` } : deck,
+      );
+    }
+    const deckIds = new Set([...existingDecks, ...decks].map((d) => d.id));
+
+    const existingWords = await getAll("words");
+    const wordDecks = new Map(existingWords.map((w) => [w.id, w.deckId]));
+    const wordKeys = new Set(
+      existingWords.map((w) => `${w.deckId}\u0000${w.word}`),
+    );
+    let skipped = 0;
+    for (const word of words) {
+      // The deck may have been deleted after the word was
+      const deckId = deckIds.has(word.deckId)
+        ? word.deckId
+        : this.currentDeckId;
+      const key = `${deckId}\u0000${word.word}`;
+      if (wordKeys.has(key)) {
+        skipped++;
+        continue;
       }
+      wordKeys.add(key);
+      wordDecks.set(word.id, deckId);
+      await put("words", { ...word, deckId });
     }
-    return 0;
-  }
 
-  getVoiceQualityScore(voice, qualityMap) {
-    const name = voice.name.toLowerCase();
+    for (const wrongWord of wrongWords) {
+      const deckId = wordDecks.get(wrongWord.wordId);
+      if (deckId === undefined) continue;
+      await put("wrongWords", { ...wrongWord, deckId });
+    }
 
-    // Check for explicit provider matches first
-    for (const [provider, score] of Object.entries(qualityMap)) {
-      if (name.includes(provider)) {
-        return score;
+    const existingStats = await getAll("stats");
+    for (const record of stats) {
+      const current = existingStats.find((s) => s.id === record.id);
+      if (record.id === "practice") {
+        await put("stats", this.sumPracticeStats(current, record));
+      } else if (!current) {
+        await put("stats", record);
       }
     }
 
-    // Special handling for Google voices that might not have "google" in the name
-    if (
-      name.includes("google") ||
-      name.includes("日本語") ||
-      (!voice.localService &&
-        (name.includes("neural") || name.includes("premium")))
-    ) {
-      return 9; // High quality for Google/premium voices
+    for (const session of sessions) {
+      await put("sessions", session);
     }
 
-    // Default scoring based on local vs network
-    return voice.localService ? 6 : 5;
+    await this.waitForTransaction(transaction);
+
+    this.practiceStats = { sessions: 0, correct: 0, total: 0, decks: {} };
+    await this.loadStats();
+    await this.loadDecks();
+    this.loadWordList();
+    await this.updateWordCount();
+    this.updateStats();
+    return skipped;
+  }
+
+  showUndoToast(message, trashId) {
+    const toast = document.getElementById("undo-toast");
+    document.getElementById("undo-toast-message").textContent = message;
+    toast.dataset.trashId = trashId;
+    toast.style.display = "flex";
+
+    clearTimeout(this.undoToastTimer);
+    this.undoToastTimer = setTimeout(() => this.hideUndoToast(), 10000);
   }
 
-  preprocessTextForBetterPronunciation(text, lang = "ja") {
-    let processed = text;
+  hideUndoToast() {
+    clearTimeout(this.undoToastTimer);
+    document.getElementById("undo-toast").style.display = "none";
+  }
 
-    if (lang === "ja") {
-      // Japanese-specific preprocessing
-      processed = processed.replace(/([。、])/g, "$1 ");
+  async undoLastDeletion() {
+    const trashId = Number(
+      document.getElementById("undo-toast").dataset.trashId,
+    );
+    this.hideUndoToast();
+    await this.restoreTrashEntry(trashId);
+  }
 
-      // Add subtle breaks for long compound words (4+ characters)
-      if (processed.length >= 4) {
-        processed = processed.replace(
-          /([あ-ん])(る|す|ます|した|して)/,
-          "$1 $2",
+  async restoreTrashEntry(trashId) {
+    try {
+      const skipped = await this.restoreFromTrash(trashId);
+      if (skipped > 0) {
+        alert(
+          `${skipped} words were not restored because their deck already has them again.`,
         );
       }
+    } catch (error) {
+      alert(`Restore failed: ${error.message}`);
+    }
 
-      // Handle special Japanese pronunciation cases
-      const jpPronunciationMap = {
-        ー: "", // Remove long vowel marks that might confuse TTS
-      };
-
-      for (const [original, replacement] of Object.entries(
-        jpPronunciationMap,
-      )) {
-        processed = processed.replace(new RegExp(original, "g"), replacement);
-      }
-    } else if (lang === "en") {
-      // English-specific preprocessing
-      // Add commas for natural pauses in long sentences
-      if (processed.length > 20) {
-        processed = processed.replace(/\b(and|or|but|so)\b/g, ", $1");
-      }
-    } else if (lang === "zh") {
-      // Chinese-specific preprocessing
-      processed = processed.replace(/([，。！？])/g, "$1 ");
-    } else if (lang === "es" || lang === "fr") {
-      // Romance language preprocessing
-      processed = processed.replace(/([,.!?])/g, "$1 ");
+    if (document.getElementById("trash-section").classList.contains("active")) {
+      this.loadTrash();
     }
+  }
 
-    // Universal improvements
-    processed = processed.replace(/\s+/g, " ").trim(); // Clean up extra spaces
+  async getTrashEntries() {
+    const transaction = this.db.transaction(["trash"], "readonly");
+    const store = transaction.objectStore("trash");
 
-    return processed;
+    const entries = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
   }
 
-  startListening() {
-    if (this.speechRecognition && !this.isListening) {
-      this.isListening = true;
-      document.getElementById("start-listening-btn").style.display = "none";
-      document.getElementById("stop-listening-btn").style.display =
-        "inline-block";
-      this.speechRecognition.start();
-    }
+  describeTrashRecords(records) {
+    const parts = [];
+    const count = (list, label) => {
+      if (list && list.length) parts.push(`${list.length} ${label}`);
+    };
+    count(records.decks, "deck");
+    count(records.words, "words");
+    count(records.wrongWords, "wrong-word records");
+    count(records.sessions, "practice sessions");
+    if (records.stats && records.stats.length) parts.push("statistics");
+    return parts.join(", ") || "nothing";
   }
 
-  stopListening() {
-    if (this.speechRecognition && this.isListening) {
-      this.isListening = false;
-      document.getElementById("start-listening-btn").style.display =
-        "inline-block";
-      document.getElementById("stop-listening-btn").style.display = "none";
-      this.speechRecognition.stop();
+  async loadTrash() {
+    const entries = await this.getTrashEntries();
+    const listEl = document.getElementById("trash-list");
+
+    if (entries.length === 0) {
+      listEl.innerHTML = `<p class="trash-empty">The trash is empty.</p>`;
+      document.getElementById("empty-trash-btn").disabled = true;
+      return;
     }
+    document.getElementById("empty-trash-btn").disabled = false;
+
+    listEl.innerHTML = entries
+      .map(
+        (entry) => `
+                <div class="trash-item">
+                    <div class="trash-content">
+                        <strong>${this.escapeHtml(entry.description)}</strong>
+                        <div class="trash-meta">${new Date(entry.deletedAt).toLocaleString()} · ${this.describeTrashRecords(entry.records)}</div>
+                    </div>
+                    <div class="word-actions">
+                        <button class="edit-btn" onclick="app.restoreTrashEntry(${entry.id})">Restore</button>
+                        <button class="delete-btn" onclick="app.purgeTrashEntry(${entry.id})">Delete Forever</button>
+                    </div>
+                </div>
+            `,
+      )
+      .join("");
   }
 
-  async addWrongWord(word) {
-    const wrongWord = {
-      wordId: word.id,
-      word: word.word,
-      translation: word.translation,
-      timestamp: new Date().toISOString(),
-    };
+  async purgeTrashEntry(trashId) {
+    if (!confirm("Permanently delete this item? This cannot be undone."))
+      return;
 
-    const transaction = this.db.transaction(["wrongWords"], "readwrite");
-    const store = transaction.objectStore("wrongWords");
+    const transaction = this.db.transaction(["trash"], "readwrite");
+    await new Promise((resolve, reject) => {
+      const request = transaction.objectStore("trash").delete(trashId);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+
+    this.loadTrash();
+  }
+
+  async emptyTrash() {
+    if (
+      !confirm("Permanently delete everything in the trash? This cannot be undone.")
+    )
+      return;
 
+    const transaction = this.db.transaction(["trash"], "readwrite");
     await new Promise((resolve, reject) => {
-      const request = store.add(wrongWord);
+      const request = transaction.objectStore("trash").clear();
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
+
+    this.hideUndoToast();
+    this.loadTrash();
   }
 
-  async getWrongWords() {
-    const transaction = this.db.transaction(["wrongWords"], "readonly");
-    const store = transaction.objectStore("wrongWords");
+  // Trash entries are kept for trashRetentionDays, then dropped on startup
+  async purgeExpiredTrash() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - this.trashRetentionDays);
 
-    const wrongWords = await new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
+    const transaction = this.db.transaction(["trash"], "readwrite");
+    const index = transaction.objectStore("trash").index("deletedAt");
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(
+        IDBKeyRange.upperBound(cutoff.toISOString()),
+      );
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
     });
+  }
 
-    // Remove duplicates by wordId, keeping the most recent
-    const uniqueWrongWords = [];
-    const seen = new Set();
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
 
-    wrongWords.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+  }
 
-    for (const wrongWord of wrongWords) {
-      if (!seen.has(wrongWord.wordId)) {
-        seen.add(wrongWord.wordId);
-        uniqueWrongWords.push(wrongWord);
+  // localStorage preferences that travel with a backup
+  getBackupSettingKeys() {
+    return [
+      "vocabulary-practice-theme",
+      "vocabulary-practice-graduation-streak",
+    ];
+  }
+
+  async exportBackup() {
+    const statusEl = document.getElementById("backup-status");
+    const storeNames = [...this.db.objectStoreNames];
+    const transaction = this.db.transaction(storeNames, "readonly");
+
+    try {
+      const stores = {};
+      await Promise.all(
+        storeNames.map(
+          (storeName) =>
+            new Promise((resolve, reject) => {
+              const request = transaction.objectStore(storeName).getAll();
+              request.onsuccess = () => {
+                stores[storeName] = request.result;
+                resolve();
+              };
+              request.onerror = () => reject(request.error);
+            }),
+        ),
+      );
+
+      const settings = {};
+      for (const key of this.getBackupSettingKeys()) {
+        const value = localStorage.getItem(key);
+        if (value !== null) settings[key] = value;
       }
-    }
 
-    return uniqueWrongWords;
-  }
+      const backup = {
+        app: "vocabulary-practice",
+        backupVersion: 1,
+        dbVersion: this.db.version,
+        exportedAt: new Date().toISOString(),
+        settings,
+        stores,
+      };
 
-  async getWrongWordsCount() {
-    const wrongWords = await this.getWrongWords();
-    return wrongWords.length;
+      this.downloadFile(
+        `vocabulary-practice-backup-${this.getDateStamp()}.json`,
+        JSON.stringify(backup, null, 2),
+        "application/json",
+      );
+
+      const wordCount = stores.words ? stores.words.length : 0;
+      statusEl.innerHTML = `<span style="color: green;">Backup created with ${wordCount} words</span>`;
+    } catch (error) {
+      statusEl.innerHTML = `<span style="color: red;">Backup failed: ${error.message}</span>`;
+    }
   }
 
-  async clearWrongWords() {
-    if (!confirm("Are you sure you want to clear all wrong words?")) return;
+  validateBackup(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("File is not a backup");
+    }
+    if (data.app !== "vocabulary-practice") {
+      throw new Error("File is not a Vocabulary Practice backup");
+    }
+    if (!Number.isInteger(data.backupVersion) || data.backupVersion > 1) {
+      throw new Error(
+        "Backup was created by a newer version of the app. Please update first.",
+      );
+    }
+    if (!Number.isInteger(data.dbVersion) || data.dbVersion > this.db.version) {
+      throw new Error(
+        "Backup was created by a newer version of the app. Please update first.",
+      );
+    }
+    if (!data.stores || typeof data.stores !== "object") {
+      throw new Error("Backup contains no data");
+    }
 
-    const transaction = this.db.transaction(["wrongWords"], "readwrite");
-    const store = transaction.objectStore("wrongWords");
+    for (const [storeName, records] of Object.entries(data.stores)) {
+      if (!this.db.objectStoreNames.contains(storeName)) {
+        throw new Error(`Backup contains unknown data "${storeName}"`);
+      }
+      if (!Array.isArray(records)) {
+        throw new Error(`Backup data "${storeName}" is malformed`);
+      }
 
-    await new Promise((resolve, reject) => {
-      const request = store.clear();
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      const keyPath = this.db
+        .transaction([storeName], "readonly")
+        .objectStore(storeName).keyPath;
+      records.forEach((record, index) => {
+        if (!record || typeof record !== "object" || !(keyPath in record)) {
+          throw new Error(
+            `Record ${index + 1} in "${storeName}" is missing its ${keyPath}`,
+          );
+        }
+      });
+    }
+
+    const deckIds = new Set((data.stores.decks || []).map((deck) => deck.id));
+    (data.stores.words || []).forEach((word, index) => {
+      if (typeof word.word !== "string" || typeof word.translation !== "string") {
+        throw new Error(`Word ${index + 1} is missing its word or translation`);
+      }
+      if (!deckIds.has(word.deckId)) {
+        throw new Error(`Word ${index + 1} belongs to a deck missing from the backup`);
+      }
     });
 
-    this.updateStats();
-    alert("Wrong words cleared successfully!");
+    (data.stores.sessions || []).forEach((session, index) => {
+      if (
+        typeof session.startedAt !== "string" ||
+        !Array.isArray(session.deckIds) ||
+        !Array.isArray(session.questions) ||
+        !session.questions.every(
+          (question) => question && typeof question === "object",
+        )
+      ) {
+        throw new Error(`Practice session ${index + 1} is malformed`);
+      }
+    });
+
+    if (data.settings && typeof data.settings !== "object") {
+      throw new Error("Backup settings are malformed");
+    }
   }
 
-  async clearAllStats() {
-    if (
-      !confirm(
-        "Are you sure you want to clear all statistics? This will reset your practice history and wrong words.",
-      )
-    )
-      return;
+  async handleRestoreFile(file) {
+    if (!file) return;
 
-    const transaction = this.db.transaction(
-      ["stats", "wrongWords"],
-      "readwrite",
-    );
-    const statsStore = transaction.objectStore("stats");
-    const wrongWordsStore = transaction.objectStore("wrongWords");
+    const statusEl = document.getElementById("backup-status");
+    const mode = document.getElementById("restore-mode").value;
+    statusEl.innerHTML = "Restoring...";
 
-    await Promise.all([
-      new Promise((resolve, reject) => {
-        const request = statsStore.clear();
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error("File is not valid JSON");
+      }
+      this.validateBackup(data);
+
+      const wordCount = (data.stores.words || []).length;
+      if (
+        mode === "replace" &&
+        !confirm(
+          `Replace ALL current words, decks and statistics with the ${wordCount} words in this backup?`,
+        )
+      ) {
+        statusEl.innerHTML = "";
+        return;
+      }
+
+      if (mode === "replace") {
+        await this.replaceFromBackup(data);
+      } else {
+        await this.mergeFromBackup(data);
+      }
+
+      for (const key of this.getBackupSettingKeys()) {
+        if (data.settings && typeof data.settings[key] === "string") {
+          localStorage.setItem(key, data.settings[key]);
+        }
+      }
+
+      await this.reloadAfterRestore();
+      statusEl.innerHTML = `<span style="color: green;">Restored ${wordCount} words from backup (${mode === "replace" ? "replaced" : "merged"})</span>`;
+    } catch (error) {
+      statusEl.innerHTML = `<span style="color: red;">Restore failed: ${error.message}</span>`;
+    }
+  }
+
+  async replaceFromBackup(data) {
+    const storeNames = [...this.db.objectStoreNames];
+    const transaction = this.db.transaction(storeNames, "readwrite");
+
+    for (const storeName of storeNames) {
+      const store = transaction.objectStore(storeName);
+      await new Promise((resolve, reject) => {
+        const request = store.clear();
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
-      }),
+      });
+
+      for (const record of data.stores[storeName] || []) {
+        await new Promise((resolve, reject) => {
+          const request = store.put(record);
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+        });
+      }
+    }
+
+    await this.waitForTransaction(transaction);
+  }
+
+  // Merging assigns fresh ids to imported records, so references between
+  // stores (deckId, wordId) are remapped as each store is written
+  async mergeFromBackup(data) {
+    const storeNames = [...this.db.objectStoreNames];
+    const transaction = this.db.transaction(storeNames, "readwrite");
+    const getAll = (storeName) =>
       new Promise((resolve, reject) => {
-        const request = wrongWordsStore.clear();
-        request.onsuccess = () => resolve();
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
-      }),
-    ]);
+      });
+    const write = (storeName, method, record) =>
+      new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName)[method](record);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    const backupStores = data.stores;
+
+    // Decks match by name
+    const deckIdMap = new Map();
+    const existingDecks = await getAll("decks");
+    for (const deck of backupStores.decks || []) {
+      const match = existingDecks.find(
+        (d) => d.name.toLowerCase() === String(deck.name).toLowerCase(),
+      );
+      if (match) {
+        deckIdMap.set(deck.id, match.id);
+      } else {
+        const { id, ...rest } = deck;
+        deckIdMap.set(id, await write("decks", "add", rest));
+      }
+    }
 
-    // Reset in-memory stats
-    this.practiceStats = {
+    // Decks deleted before the backup was made (still named by old sessions)
+    // map to no deck
+    const mapDeckId = (deckId) => deckIdMap.get(deckId);
+
+    // Words match by deck and word; existing records win, but keep the
+    // backup's review schedule and practice record when this device has none
+    const wordIdMap = new Map();
+    const existingWords = new Map(
+      (await getAll("words")).map((word) => [
+        `${word.deckId}\u0000${word.word}`,
+        word,
+      ]),
+    );
+    for (const word of backupStores.words || []) {
+      const { id, ...rest } = word;
+      const deckId = mapDeckId(word.deckId);
+      const match = existingWords.get(`${deckId}\u0000${word.word}`);
+
+      if (match) {
+        wordIdMap.set(id, match.id);
+        const kept = ["srs", "performance"].filter(
+          (key) => !match[key] && word[key],
+        );
+        if (kept.length) {
+          const updated = { ...match };
+          kept.forEach((key) => (updated[key] = word[key]));
+          await write("words", "put", updated);
+        }
+      } else {
+        wordIdMap.set(id, await write("words", "add", { ...rest, deckId }));
+      }
+    }
+
+    const existingMisses = new Set(
+      (await getAll("wrongWords")).map(
+        (wrongWord) => `${wrongWord.wordId}\u0000${wrongWord.timestamp}`,
+      ),
+    );
+    for (const wrongWord of backupStores.wrongWords || []) {
+      const { id, ...rest } = wrongWord;
+      const wordId = wordIdMap.get(wrongWord.wordId);
+      if (wordId === undefined) continue;
+      if (existingMisses.has(`${wordId}\u0000${wrongWord.timestamp}`)) continue;
+
+      await write("wrongWords", "add", {
+        ...rest,
+        wordId,
+        deckId: mapDeckId(wrongWord.deckId),
+      });
+    }
+
+    // Sessions already here (same start time) are skipped
+    const existingSessions = new Set(
+      (await getAll("sessions")).map((session) => session.startedAt),
+    );
+    for (const session of backupStores.sessions || []) {
+      if (existingSessions.has(session.startedAt)) continue;
+      const { id, ...rest } = session;
+      await write("sessions", "add", {
+        ...rest,
+        deckIds: session.deckIds
+          .map(mapDeckId)
+          .filter((deckId) => deckId !== undefined),
+        questions: session.questions.map((question) => ({
+          ...question,
+          // Words deleted before the backup was made have no id here
+          wordId: wordIdMap.get(question.wordId),
+          deckId: mapDeckId(question.deckId),
+        })),
+      });
+    }
+
+    // Practice counters are added together
+    const existingStats = await getAll("stats");
+    for (const stats of backupStores.stats || []) {
+      const current = existingStats.find((s) => s.id === stats.id);
+      if (stats.id !== "practice") {
+        if (!current) await write("stats", "put", stats);
+        continue;
+      }
+
+      await write(
+        "stats",
+        "put",
+        this.sumPracticeStats(current, stats, mapDeckId),
+      );
+    }
+
+    await this.waitForTransaction(transaction);
+  }
+
+  // Adds the counters of one "practice" stats record to another
+  sumPracticeStats(current, stats, mapDeckId = (deckId) => deckId) {
+    const merged = {
       sessions: 0,
       correct: 0,
       total: 0,
+      ...current,
+      id: "practice",
+      decks: { ...(current && current.decks) },
     };
+    for (const key of ["sessions", "correct", "total"]) {
+      merged[key] = (merged[key] || 0) + (stats[key] || 0);
+    }
+    this.sumModeStats(merged, stats);
+    for (const [deckId, deckStats] of Object.entries(stats.decks || {})) {
+      const mappedId = mapDeckId(Number(deckId));
+      // Counters of decks that no longer exist have nowhere to go
+      if (mappedId === undefined) continue;
+      const target = { sessions: 0, correct: 0, total: 0, ...merged.decks[mappedId] };
+      for (const key of ["sessions", "correct", "total"]) {
+        target[key] += deckStats[key] || 0;
+      }
+      this.sumModeStats(target, deckStats);
+      merged.decks[mappedId] = target;
+    }
+    return merged;
+  }
 
-    this.updateStats();
-    alert("All statistics cleared successfully!");
+  // Adds the per-mode and per-direction counters of stats into target
+  sumModeStats(target, stats) {
+    for (const group of ["modes", "directions"]) {
+      if (!stats[group]) continue;
+      target[group] = { ...target[group] };
+      for (const [key, counter] of Object.entries(stats[group])) {
+        const current = target[group][key] || { correct: 0, total: 0 };
+        target[group][key] = {
+          correct: current.correct + (counter.correct || 0),
+          total: current.total + (counter.total || 0),
+        };
+      }
+    }
+  }
+
+  waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error("Transaction aborted"));
+    });
+  }
+
+  async reloadAfterRestore() {
+    this.theme = localStorage.getItem("vocabulary-practice-theme") || "auto";
+    this.applyTheme();
+    document.getElementById("graduation-streak").value =
+      this.getGraduationStreak();
+
+    this.practiceStats = { sessions: 0, correct: 0, total: 0, decks: {} };
+    await this.loadStats();
+
+    this.currentDeckId = null;
+    this.excludedPracticeDeckIds.clear();
+    await this.loadDecks();
+    await this.updateWordCount();
+    this.detectLanguageFromVocabulary();
   }
 }
 